@@ -0,0 +1,352 @@
+// Schema for the JSON files in src/content. Validators are plain functions
+// `(value, path, ctx)` that push human-readable messages onto ctx.errors, so
+// one pass reports every problem in a file instead of stopping at the first.
+
+const typeOf = (value) =>
+  Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+const fail = (ctx, path, message) => ctx.errors.push(`${path || '(root)'}: ${message}`);
+
+export const string = ({ pattern, message } = {}) => (value, path, ctx) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return fail(ctx, path, `expected a non-empty string, got ${typeOf(value)}`);
+  }
+  if (pattern && !pattern.test(value)) {
+    fail(ctx, path, message || `"${value}" does not match ${pattern}`);
+  }
+};
+
+export const oneOf = (options) => (value, path, ctx) => {
+  if (!options.includes(value)) {
+    fail(ctx, path, `unknown value ${JSON.stringify(value)}, expected one of ${options.join(', ')}`);
+  }
+};
+
+export const integer = ({ min = -Infinity } = {}) => (value, path, ctx) => {
+  if (!Number.isInteger(value) || value < min) {
+    fail(ctx, path, `expected an integer >= ${min}, got ${JSON.stringify(value)}`);
+  }
+};
+
+export const boolean = () => (value, path, ctx) => {
+  if (typeof value !== 'boolean') fail(ctx, path, `expected a boolean, got ${typeOf(value)}`);
+};
+
+/** A lucide-react export name, e.g. "Smartphone". Checked against ctx.icons. */
+export const icon = () => (value, path, ctx) => {
+  string()(value, path, ctx);
+  if (typeof value === 'string' && ctx.icons && !ctx.icons.has(value)) {
+    fail(ctx, path, `"${value}" is not a lucide-react icon`);
+  }
+};
+
+/** Any JSON object; its fields are checked by whatever consumes it. */
+export const record = () => (value, path, ctx) => {
+  if (typeOf(value) !== 'object') fail(ctx, path, `expected an object, got ${typeOf(value)}`);
+};
+
+export const optional = (validate) => {
+  const wrapped = (value, path, ctx) => {
+    if (value !== undefined) validate(value, path, ctx);
+  };
+  wrapped.optional = true;
+  return wrapped;
+};
+
+export const array = (item, { min = 0, unique } = {}) => (value, path, ctx) => {
+  if (!Array.isArray(value)) {
+    return fail(ctx, path, `expected an array, got ${typeOf(value)}`);
+  }
+  if (value.length < min) {
+    fail(ctx, path, `expected at least ${min} item(s), got ${value.length}`);
+  }
+  value.forEach((entry, i) => item(entry, `${path}[${i}]`, ctx));
+  if (unique) {
+    const seen = new Set();
+    value.forEach((entry, i) => {
+      const key = entry?.[unique];
+      if (seen.has(key)) fail(ctx, `${path}[${i}].${unique}`, `duplicate ${unique} "${key}"`);
+      seen.add(key);
+    });
+  }
+};
+
+export const object = (shape) => (value, path, ctx) => {
+  if (typeOf(value) !== 'object') {
+    return fail(ctx, path, `expected an object, got ${typeOf(value)}`);
+  }
+  for (const [key, validate] of Object.entries(shape)) {
+    const at = path ? `${path}.${key}` : key;
+    if (value[key] === undefined && !validate.optional) {
+      fail(ctx, at, 'is required');
+    } else {
+      validate(value[key], at, ctx);
+    }
+  }
+  for (const key of Object.keys(value)) {
+    if (!(key in shape)) fail(ctx, path ? `${path}.${key}` : key, 'is not a known field');
+  }
+};
+
+// --- Content ---
+
+export const PROJECT_STATUSES = ['ACTIVE', 'PROTOTYPE', 'RESEARCH'];
+export const SKILL_TYPES = ['core', 'normal', 'learning'];
+export const DIAGRAM_NODE_KINDS = ['source', 'process', 'model', 'output'];
+export const DIAGRAM_ROLES = ['accent', 'secondary', 'neutral'];
+
+const slug = () =>
+  string({ pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/, message: 'must be a lowercase-kebab-case slug' });
+
+const GITHUB_PLACEHOLDERS = ['Private', 'Private till done'];
+
+const githubUrl = () => (value, path, ctx) => {
+  if (GITHUB_PLACEHOLDERS.includes(value)) return;
+  string({
+    pattern: /^https:\/\/github\.com\/[\w.-]+\/[\w.-]+\/?$/,
+    message: `must be ${GITHUB_PLACEHOLDERS.map((p) => `"${p}"`).join(', ')} or a https://github.com/<owner>/<repo> URL`,
+  })(value, path, ctx);
+};
+
+const diagramShape = object({
+  nodes: array(
+    object({
+      id: slug(),
+      label: string(),
+      detail: optional(string()),
+      kind: oneOf(DIAGRAM_NODE_KINDS),
+      role: oneOf(DIAGRAM_ROLES),
+      layer: integer({ min: 0 }),
+    }),
+    { min: 1, unique: 'id' },
+  ),
+  edges: array(object({ from: slug(), to: slug() })),
+});
+
+const diagram = () => (value, path, ctx) => {
+  diagramShape(value, path, ctx);
+  if (!Array.isArray(value?.nodes) || !Array.isArray(value?.edges)) return;
+  const layers = new Map(value.nodes.map((node) => [node?.id, node?.layer]));
+  value.edges.forEach((edge, i) => {
+    for (const end of ['from', 'to']) {
+      if (!layers.has(edge?.[end])) fail(ctx, `${path}.edges[${i}].${end}`, `unknown node "${edge?.[end]}"`);
+    }
+    if (layers.get(edge?.from) >= layers.get(edge?.to)) {
+      fail(ctx, `${path}.edges[${i}]`, 'edges must point to a later layer');
+    }
+  });
+};
+
+const deepDive = object({
+  featured: optional(boolean()),
+  figure: string(),
+  diagram: optional(diagram()),
+  problem: string(),
+  constraints: array(string(), { min: 1 }),
+  outcome: array(string(), { min: 1 }),
+});
+
+const project = object({
+  id: slug(),
+  title: string(),
+  subtitle: string(),
+  status: oneOf(PROJECT_STATUSES),
+  icon: icon(),
+  domain: slug(),
+  tags: array(string(), { min: 1 }),
+  tech: array(string(), { min: 1 }),
+  features: array(
+    object({ label: string(), value: string(), icon: optional(icon()) }),
+    { min: 1 },
+  ),
+  github_url: optional(githubUrl()),
+  deepDive: optional(deepDive),
+});
+
+const domain = object({
+  id: slug(),
+  title: string(),
+  icon: icon(),
+  description: string(),
+  technologies: array(string(), { min: 1 }),
+});
+
+const skillGroup = object({
+  id: slug(),
+  title: string(),
+  icon: icon(),
+  skills: array(object({ name: string(), type: oneOf(SKILL_TYPES) }), { min: 1, unique: 'name' }),
+});
+
+const timelineEntryShape = object({
+  id: slug(),
+  start: integer({ min: 1900 }),
+  end: optional(integer({ min: 1900 })),
+  ongoing: optional(boolean()),
+  title: string(),
+  role: string(),
+  desc: string(),
+});
+
+const timelineEntry = (value, path, ctx) => {
+  timelineEntryShape(value, path, ctx);
+  if (value?.ongoing && value.end !== undefined) {
+    fail(ctx, `${path}.end`, 'must be left out while ongoing is true');
+  } else if (Number.isInteger(value?.start) && Number.isInteger(value?.end) && value.end < value.start) {
+    fail(ctx, `${path}.end`, `must not be before start (${value.start})`);
+  }
+};
+
+// Section types are registered in src/sections/registry.js, so an unknown
+// `type` is reported when the page renders (and so fails the prerender).
+const layoutSection = object({
+  type: slug(),
+  id: optional(slug()),
+  numbered: optional(boolean()),
+  props: optional(record()),
+});
+
+const layout = (value, path, ctx) => {
+  object({ sections: array(layoutSection, { min: 1 }) })(value, path, ctx);
+  if (!Array.isArray(value?.sections)) return;
+  // The id defaults to the type, so two sections of one type need explicit ids.
+  const seen = new Set();
+  value.sections.forEach((section, i) => {
+    const id = section?.id ?? section?.type;
+    if (seen.has(id)) fail(ctx, `${path ? `${path}.` : ''}sections[${i}]`, `duplicate section id "${id}"; give it an "id"`);
+    seen.add(id);
+  });
+};
+
+const contact = object({
+  github: string({ pattern: /^https:\/\/github\.com\/[\w.-]+\/?$/, message: 'must be a GitHub profile URL' }),
+  links: array(
+    object({
+      id: slug(),
+      label: string(),
+      text: string(),
+      href: string({ pattern: /^(https:\/\/|mailto:)/, message: 'must be an https:// or mailto: link' }),
+      icon: optional(icon()),
+    }),
+    { min: 1, unique: 'id' },
+  ),
+});
+
+const site = object({
+  name: string(),
+  title: string(),
+  description: string(),
+  url: string({ pattern: /^https:\/\/[^/]+$/, message: 'must be an https:// origin without a trailing slash' }),
+  image: string({ pattern: /^\//, message: 'must be a path under public/, starting with /' }),
+});
+
+/** Content file name (without .json) → validator for its top-level value. */
+export const contentSchema = {
+  projects: (value, path, ctx) => {
+    array(project, { min: 1, unique: 'id' })(value, path, ctx);
+    if (Array.isArray(value) && value.filter((p) => p?.deepDive?.featured).length > 1) {
+      fail(ctx, path, 'only one project can have deepDive.featured');
+    }
+  },
+  domains: array(domain, { min: 1, unique: 'id' }),
+  skills: array(skillGroup, { min: 1, unique: 'id' }),
+  timeline: array(timelineEntry, { min: 1, unique: 'id' }),
+  contact,
+  site,
+  layout,
+};
+
+/**
+ * Checks references between files (e.g. a project's `domain` must be a
+ * domain id). Run after every file has passed validateContent.
+ */
+export function validateReferences({ projects, domains }) {
+  const ctx = { errors: [] };
+  const domainIds = new Set(domains.map((d) => d.id));
+  projects.forEach((project, i) => {
+    if (!domainIds.has(project.domain)) {
+      fail(ctx, `projects.json [${i}].domain`, `unknown domain "${project.domain}", expected one of ${[...domainIds].join(', ')}`);
+    }
+  });
+  return ctx.errors;
+}
+
+// --- Translations ---
+
+// Fields that identify or classify content rather than describe it; a
+// translation that changed them would change behaviour, not wording.
+const LOCKED_FIELDS = new Set([
+  'id', 'icon', 'status', 'domain', 'tags', 'github_url', 'featured', 'type',
+  'start', 'end', 'ongoing', 'github', 'href', 'url', 'image',
+]);
+// Diagram nodes also have a `role`, unlike timeline entries where it is prose.
+const LOCKED_DIAGRAM_FIELDS = new Set(['kind', 'role', 'layer', 'edges']);
+
+const isLocked = (path, key) =>
+  LOCKED_FIELDS.has(key) ||
+  (/\.diagram(\.|$)/.test(path) && LOCKED_DIAGRAM_FIELDS.has(key)) ||
+  // The page layout is structure, not wording.
+  (path === '' && key === 'layout');
+
+const hasIds = (list) => list.length > 0 && list.every((item) => typeof item?.id === 'string');
+
+// Walks a translation alongside the content it translates: objects may only
+// name existing fields, lists of items with an `id` are keyed by id, other
+// lists must keep their length, and only strings can be replaced.
+function checkTranslation(source, overlay, path, ctx) {
+  if (typeof source === 'string') return string()(overlay, path, ctx);
+
+  if (Array.isArray(source) && hasIds(source)) {
+    if (typeOf(overlay) !== 'object') return fail(ctx, path, `expected an object keyed by id, got ${typeOf(overlay)}`);
+    const byId = new Map(source.map((item) => [item.id, item]));
+    for (const [id, entry] of Object.entries(overlay)) {
+      if (byId.has(id)) checkTranslation(byId.get(id), entry, `${path}.${id}`, ctx);
+      else fail(ctx, `${path}.${id}`, `unknown id "${id}"`);
+    }
+    return;
+  }
+
+  if (Array.isArray(source)) {
+    if (!Array.isArray(overlay)) return fail(ctx, path, `expected an array, got ${typeOf(overlay)}`);
+    if (overlay.length !== source.length) {
+      return fail(ctx, path, `expected ${source.length} item(s) to match the original, got ${overlay.length}`);
+    }
+    overlay.forEach((entry, i) => checkTranslation(source[i], entry, `${path}[${i}]`, ctx));
+    return;
+  }
+
+  if (typeOf(source) === 'object') {
+    if (typeOf(overlay) !== 'object') return fail(ctx, path, `expected an object, got ${typeOf(overlay)}`);
+    for (const [key, value] of Object.entries(overlay)) {
+      const at = path ? `${path}.${key}` : key;
+      if (isLocked(path, key)) fail(ctx, at, 'cannot be translated');
+      else if (!(key in source)) fail(ctx, at, 'is not a field of the original');
+      else checkTranslation(source[key], value, at, ctx);
+    }
+    return;
+  }
+
+  fail(ctx, path, 'cannot be translated');
+}
+
+/**
+ * Validates a src/content/locales/<locale>.json file against the content it
+ * translates (every file, keyed by file name). Returns error messages.
+ */
+export function validateTranslation(data, overlay) {
+  const ctx = { errors: [] };
+  checkTranslation(data, overlay, '', ctx);
+  return ctx.errors;
+}
+
+/**
+ * Validates one content file. Returns a list of error messages; empty means valid.
+ * @param {string} name key of contentSchema
+ * @param {unknown} data parsed JSON
+ * @param {{ icons?: Set<string> }} [options]
+ */
+export function validateContent(name, data, { icons } = {}) {
+  const ctx = { errors: [], icons };
+  contentSchema[name](data, '', ctx);
+  return ctx.errors;
+}
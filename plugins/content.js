@@ -0,0 +1,169 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { contentSchema, validateContent, validateReferences, validateTranslation } from './content-schema.js';
+
+const VIRTUAL_ID = 'virtual:content';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+// The raw JSON (icons as names), for the content editor.
+const SOURCE_ID = `${VIRTUAL_ID}/source`;
+const RESOLVED_SOURCE_ID = `\0${SOURCE_ID}`;
+
+// Icon names are swapped for this marker while serialising, then unquoted into
+// identifiers so the generated module imports exactly the icons it uses.
+const ICON_MARK = '@@lucide:';
+
+// Translations live in <contentDir>/locales/<locale>.json.
+const LOCALES_DIR = 'locales';
+const LOCALE_FILE = /^[a-z]{2}(-[A-Z]{2})?\.json$/;
+
+let iconNames;
+const lucideIconNames = () => {
+  iconNames ??= import('lucide-react').then(
+    (lucide) => new Set(Object.keys(lucide).filter((name) => /^[A-Z]/.test(name) && typeof lucide[name] === 'object')),
+  );
+  return iconNames;
+};
+
+export async function loadContent(contentDir) {
+  const icons = await lucideIconNames();
+  const data = {};
+  const problems = [];
+  const files = [];
+
+  for (const name of Object.keys(contentSchema)) {
+    const file = path.join(contentDir, `${name}.json`);
+    const label = path.relative(process.cwd(), file);
+    files.push(file);
+    try {
+      data[name] = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      problems.push(`${label}: ${err.message}`);
+      continue;
+    }
+    for (const message of validateContent(name, data[name], { icons })) {
+      problems.push(`${label} ${message}`);
+    }
+  }
+  if (problems.length === 0) {
+    const dirLabel = path.relative(process.cwd(), contentDir);
+    problems.push(...validateReferences(data).map((message) => path.join(dirLabel, message)));
+  }
+
+  // Translations are only checked against content that is itself valid.
+  const contentValid = problems.length === 0;
+  const translations = {};
+  const localesDir = path.join(contentDir, LOCALES_DIR);
+  const localeFiles = await fs.readdir(localesDir).catch(() => []);
+  for (const name of localeFiles.filter((name) => name.endsWith('.json'))) {
+    const file = path.join(localesDir, name);
+    const label = path.relative(process.cwd(), file);
+    const locale = path.basename(name, '.json');
+    files.push(file);
+    if (!LOCALE_FILE.test(name)) {
+      problems.push(`${label}: file name must be a locale code such as de.json or pt-BR.json`);
+      continue;
+    }
+    try {
+      translations[locale] = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      problems.push(`${label}: ${err.message}`);
+      continue;
+    }
+    if (!contentValid) continue;
+    for (const message of validateTranslation(data, translations[locale])) {
+      problems.push(`${label} ${message}`);
+    }
+  }
+
+  return { data, translations, problems, files };
+}
+
+/**
+ * Applies a translation to the content it was validated against: strings are
+ * replaced, objects merged field by field, id-keyed entries matched by id and
+ * other lists by position.
+ */
+export function localize(source, overlay) {
+  if (overlay === undefined) return source;
+  if (Array.isArray(source)) {
+    return Array.isArray(overlay)
+      ? source.map((item, i) => localize(item, overlay[i]))
+      : source.map((item) => localize(item, overlay[item.id]));
+  }
+  if (source !== null && typeof source === 'object') {
+    return Object.fromEntries(Object.entries(source).map(([key, value]) => [key, localize(value, overlay[key])]));
+  }
+  return overlay;
+}
+
+function generateModule(data, translations) {
+  const used = new Set();
+  const serialize = (value) =>
+    JSON.stringify(
+      value,
+      (key, entry) => {
+        if (key !== 'icon' || typeof entry !== 'string') return entry;
+        used.add(entry);
+        return `${ICON_MARK}${entry}`;
+      },
+      2,
+    ).replace(new RegExp(`"${ICON_MARK}(\\w+)"`, 'g'), '$1');
+
+  const json = serialize(data);
+  const localized = serialize(
+    Object.fromEntries(Object.entries(translations).map(([locale, overlay]) => [locale, localize(data, overlay)])),
+  );
+
+  return [
+    `import { ${[...used].sort().join(', ')} } from 'lucide-react';`,
+    `const content = ${json};`,
+    `export const { ${Object.keys(data).join(', ')} } = content;`,
+    `export const localized = ${localized};`,
+    'export default content;',
+  ].join('\n\n');
+}
+
+/**
+ * Serves src/content/*.json as `virtual:content`, validated against
+ * ./content-schema.js. Invalid content fails `vite build` (and shows the
+ * error overlay in dev); `icon` strings become lucide-react components.
+ * `localized` holds a full copy of the content per translation in locales/.
+ * `virtual:content/source` is the untouched JSON, for the content editor.
+ */
+export default function contentPlugin({ dir = 'src/content' } = {}) {
+  let contentDir;
+
+  return {
+    name: 'portfolio-content',
+
+    configResolved(config) {
+      contentDir = path.resolve(config.root, dir);
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+      if (id === SOURCE_ID) return RESOLVED_SOURCE_ID;
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_ID && id !== RESOLVED_SOURCE_ID) return;
+      const { data, translations, problems, files } = await loadContent(contentDir);
+      files.forEach((file) => this.addWatchFile(file));
+      if (problems.length) {
+        this.error(`Invalid portfolio content:\n  ${problems.join('\n  ')}`);
+      }
+      if (id === RESOLVED_SOURCE_ID) return `export default ${JSON.stringify(data, null, 2)};`;
+      return generateModule(data, translations);
+    },
+
+    handleHotUpdate({ file, server }) {
+      if (!file.startsWith(contentDir + path.sep)) return;
+      for (const id of [RESOLVED_ID, RESOLVED_SOURCE_ID]) {
+        const mod = server.moduleGraph.getModuleById(id);
+        if (mod) server.moduleGraph.invalidateModule(mod);
+      }
+      server.ws.send({ type: 'full-reload' });
+      return [];
+    },
+  };
+}
@@ -0,0 +1,134 @@
+import { execFileSync } from 'node:child_process';
+import path from 'node:path';
+
+const VIRTUAL_ID = 'virtual:build-info';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+// How many content commits the activity feed lists.
+const ACTIVITY_LIMIT = 8;
+
+// Git's placeholder for lines that are not committed yet (`git blame`).
+const UNCOMMITTED = /^0{40}$/;
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+// The prerender step runs a second (server) build in this process with a fresh
+// copy of the plugin; both must report the same build time or hydration fails.
+const BUILT_AT = Symbol.for('portfolio-git.builtAt');
+
+const git = (root, args) =>
+  execFileSync('git', args, { cwd: root, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 16 * 1024 * 1024 });
+
+const commitOf = ([hash, date, subject]) => ({ hash, short: hash.slice(0, 7), date, subject });
+
+/**
+ * Latest commit per top-level entry of a JSON array file such as
+ * projects.json, keyed by the entry's `id`. Relies on the file's two-space
+ * formatting (entries open with `  {` and close with `  }`), as written by
+ * JSON.stringify and the content editor; lines not yet committed are ignored.
+ */
+function entryCommits(root, file, commits) {
+  const blame = git(root, ['blame', '--line-porcelain', '--', file]).split('\n');
+  const lines = [];
+  let hash = null;
+  for (const line of blame) {
+    const header = line.match(/^([0-9a-f]{40}) \d+ \d+/);
+    if (header) hash = header[1];
+    else if (line.startsWith('\t')) lines.push({ hash, text: line.slice(1) });
+  }
+
+  const latest = {};
+  let entry = null;
+  for (const { hash: lineHash, text } of lines) {
+    if (text === '  {') entry = { id: null, hashes: [] };
+    if (!entry) continue;
+    entry.id ??= text.match(/^ {4}"id": "([^"]+)"/)?.[1] ?? null;
+    if (!UNCOMMITTED.test(lineHash)) entry.hashes.push(lineHash);
+    if (/^ {2}\},?$/.test(text)) {
+      const newest = entry.hashes
+        .map((h) => commits.get(h))
+        .filter(Boolean)
+        .sort((a, b) => b.date.localeCompare(a.date))[0];
+      if (entry.id && newest) latest[entry.id] = newest;
+      entry = null;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Reads build metadata from the local git repository (never the network):
+ * the checked-out commit, the last commit to touch each content file and each
+ * project, and recent commits under the content directory. Outside a git
+ * checkout (e.g. a source tarball) every field is empty rather than failing.
+ */
+export function readBuildInfo(root, contentDir, builtAt = new Date()) {
+  const info = { builtAt: builtAt.toISOString(), commit: null, dirty: false, content: {}, projects: {}, activity: [] };
+  const dir = path.relative(root, contentDir).split(path.sep).join('/');
+
+  let log;
+  try {
+    info.commit = commitOf(git(root, ['log', '-1', `--format=%H${FIELD}%cI${FIELD}%s`]).trim().split(FIELD));
+    info.dirty = git(root, ['status', '--porcelain']).trim() !== '';
+    log = git(root, ['log', `--format=${RECORD}%H${FIELD}%cI${FIELD}%s`, '--name-only', '--', dir]);
+  } catch {
+    return info;
+  }
+
+  const commits = new Map();
+  for (const record of log.split(RECORD).filter(Boolean)) {
+    const [header, ...names] = record.trim().split('\n');
+    const commit = commitOf(header.split(FIELD));
+    const files = names.filter(Boolean).map((name) => path.posix.relative(dir, name));
+    commits.set(commit.hash, commit);
+    // `git log` is newest first, so the first commit to name a file wins.
+    for (const file of files) {
+      const name = file.endsWith('.json') && !file.includes('/') ? path.posix.basename(file, '.json') : null;
+      if (name && !info.content[name]) info.content[name] = commit;
+    }
+    if (info.activity.length < ACTIVITY_LIMIT) info.activity.push({ ...commit, files });
+  }
+
+  try {
+    info.projects = entryCommits(root, path.join(contentDir, 'projects.json'), commits);
+  } catch {
+    // projects.json is not committed yet.
+  }
+  return info;
+}
+
+/**
+ * Serves `virtual:build-info` (see readBuildInfo), read once per build. Set
+ * SOURCE_DATE_EPOCH for a reproducible build time.
+ */
+export default function gitPlugin({ dir = 'src/content' } = {}) {
+  let config;
+  let info = null;
+
+  return {
+    name: 'portfolio-git',
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    buildStart() {
+      info = null;
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return;
+      if (!info) {
+        const epoch = Number(process.env.SOURCE_DATE_EPOCH);
+        globalThis[BUILT_AT] ??= epoch ? new Date(epoch * 1000) : new Date();
+        info = readBuildInfo(config.root, path.resolve(config.root, dir), globalThis[BUILT_AT]);
+        if (!info.commit) this.warn('not a git checkout (or git is missing); build metadata is empty');
+      }
+      return `export default ${JSON.stringify(info, null, 2)};`;
+    },
+  };
+}
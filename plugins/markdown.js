@@ -0,0 +1,140 @@
+import MarkdownIt from 'markdown-it';
+import hljs from 'highlight.js/lib/core';
+import arduino from 'highlight.js/lib/languages/arduino';
+import bash from 'highlight.js/lib/languages/bash';
+import c from 'highlight.js/lib/languages/c';
+import cpp from 'highlight.js/lib/languages/cpp';
+import java from 'highlight.js/lib/languages/java';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import kotlin from 'highlight.js/lib/languages/kotlin';
+import python from 'highlight.js/lib/languages/python';
+import shell from 'highlight.js/lib/languages/shell';
+import typescript from 'highlight.js/lib/languages/typescript';
+
+// Markdown for posts, compiled at build time with markdown-it (CommonMark plus
+// tables and strikethrough) and highlight.js. On top of the defaults: headings
+// get anchors, external links open in a new tab, only http(s), mailto and
+// relative URLs are linked, and raw HTML is escaped, not passed through.
+// Problems (such as a level-1 heading) are collected rather than thrown.
+
+Object.entries({ arduino, bash, c, cpp, java, javascript, json, kotlin, python, shell, typescript }).forEach(
+  ([name, language]) => hljs.registerLanguage(name, language),
+);
+
+export const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+const unescapeHtml = (html) =>
+  html.replace(/&(amp|lt|gt|quot|#39);/g, (entity, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" })[name]);
+
+/** Frontmatter scalar: quoted string, [inline, list] or bare text. */
+const parseValue = (raw) => {
+  const value = raw.trim();
+  if (/^\[.*\]$/.test(value)) {
+    return value.slice(1, -1).split(',').map(parseValue).filter((item) => item !== '');
+  }
+  const quoted = value.match(/^(["'])(.*)\1$/);
+  return quoted ? quoted[2] : value;
+};
+
+/**
+ * Splits `---`-fenced frontmatter (flat `key: value` lines) from the body.
+ * Returns `{ data, body, problems }`.
+ */
+export function parseFrontmatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { data: {}, body: source, problems: ['missing frontmatter (--- … --- at the top of the file)'] };
+
+  const data = {};
+  const problems = [];
+  match[1].split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trimStart().startsWith('#')) return;
+    const field = line.match(/^([\w-]+):(.*)$/);
+    if (field) data[field[1]] = parseValue(field[2]);
+    else problems.push(`frontmatter line ${i + 2}: expected "key: value"`);
+  });
+  return { data, body: source.slice(match[0].length), problems };
+}
+
+/** Heading text → anchor id, e.g. "Double Ratchet, step 2" → "double-ratchet-step-2". */
+export const slugify = (text) =>
+  text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+const md = new MarkdownIt({ html: false, linkify: false, typographer: false });
+
+// Relative URLs and http(s)/mailto pass; any other scheme (javascript:, data:)
+// leaves the link as plain text.
+md.validateLink = (url) => !/^[a-z][\w+.-]*:/i.test(url) || /^(https?|mailto):/i.test(url);
+
+// Text of a heading's inline content, without markup.
+const plainText = (inline) =>
+  inline.children
+    .filter((token) => token.type === 'text' || token.type === 'code_inline')
+    .map((token) => token.content)
+    .join('');
+
+// Unique ids for headings, per document; `env` is the render call's state.
+md.core.ruler.push('heading_ids', (state) => {
+  const { ids, problems } = state.env;
+  state.tokens.forEach((token, i) => {
+    if (token.type !== 'heading_open') return;
+    if (token.tag === 'h1') problems.push('use ## and below for headings; the post title is the page heading');
+    const base = slugify(plainText(state.tokens[i + 1])) || 'section';
+    let id = base;
+    for (let n = 2; ids.has(id); n += 1) id = `${base}-${n}`;
+    ids.add(id);
+    token.attrSet('id', id);
+  });
+});
+
+const { rules } = md.renderer;
+
+rules.heading_open = (tokens, i, options, env, self) =>
+  `${self.renderToken(tokens, i, options)}<a class="heading-anchor" href="#${tokens[i].attrGet('id')}">`;
+rules.heading_close = (tokens, i, options, env, self) => `</a>${self.renderToken(tokens, i, options)}`;
+
+rules.link_open = (tokens, i, options, env, self) => {
+  if (/^https?:/i.test(tokens[i].attrGet('href'))) {
+    tokens[i].attrSet('target', '_blank');
+    tokens[i].attrSet('rel', 'noreferrer');
+  }
+  return self.renderToken(tokens, i, options);
+};
+
+const renderImage = rules.image;
+rules.image = (tokens, i, options, env, self) => {
+  tokens[i].attrSet('loading', 'lazy');
+  return renderImage(tokens, i, options, env, self);
+};
+
+// Wide tables scroll inside their own box.
+rules.table_open = () => '<div class="table"><table>\n';
+rules.table_close = () => '</table></div>\n';
+
+rules.fence = (tokens, i, options, env) => {
+  const { content, info } = tokens[i];
+  const [lang] = info.trim().split(/\s+/);
+  const known = lang && hljs.getLanguage(lang);
+  if (lang && !known) env.problems.push(`code block language "${lang}" is not highlighted`);
+  const code = known ? hljs.highlight(content, { language: lang, ignoreIllegals: true }).value : escapeHtml(content);
+  const langAttr = lang ? ` data-lang="${escapeHtml(lang)}"` : '';
+  return `<pre class="code"${langAttr}><code>${code.replace(/\n$/, '')}</code></pre>\n`;
+};
+
+/**
+ * Compiles a Markdown body to HTML. Returns `{ html, summary, problems }`,
+ * where `summary` is the plain text of the first paragraph.
+ */
+export function renderMarkdown(source) {
+  const env = { ids: new Set(), problems: [] };
+  const html = md.render(source, env);
+  const firstParagraph = html.match(/<p>([\s\S]*?)<\/p>/)?.[1] ?? '';
+  const summary = unescapeHtml(firstParagraph.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+  return { html, summary, problems: env.problems };
+}
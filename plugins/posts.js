@@ -0,0 +1,219 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { array, object, optional, string } from './content-schema.js';
+import { escapeHtml, parseFrontmatter, renderMarkdown } from './markdown.js';
+
+const VIRTUAL_ID = 'virtual:posts';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+// Posts are <contentDir>/posts/<slug>.md; the index and feeds live under /notes.
+const POSTS_DIR = 'posts';
+const POST_FILE = /^[a-z0-9]+(-[a-z0-9]+)*\.md$/;
+export const NOTES_PATH = '/notes';
+export const FEEDS = { rss: `${NOTES_PATH}/rss.xml`, atom: `${NOTES_PATH}/atom.xml` };
+
+const frontmatter = object({
+  title: string(),
+  date: string({ pattern: /^\d{4}-\d{2}-\d{2}$/, message: 'must be a YYYY-MM-DD date' }),
+  tags: array(string({ pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/, message: 'must be a lowercase-kebab-case tag' }), { min: 1 }),
+  project: optional(string()),
+  summary: optional(string()),
+});
+
+const readJson = async (file) => JSON.parse(await fs.readFile(file, 'utf8'));
+
+/**
+ * Reads and compiles every post. Returns `{ posts, site, problems, files }`;
+ * posts are sorted newest first. `project` must name a project in projects.json.
+ */
+export async function loadPosts(contentDir) {
+  const postsDir = path.join(contentDir, POSTS_DIR);
+  const names = (await fs.readdir(postsDir).catch(() => [])).filter((name) => name.endsWith('.md'));
+  const posts = [];
+  const problems = [];
+  const files = [];
+
+  // Broken content files are reported by the content plugin.
+  const projectIds = await readJson(path.join(contentDir, 'projects.json'))
+    .then((projects) => new Set(projects.map((p) => p.id)))
+    .catch(() => null);
+  const site = await readJson(path.join(contentDir, 'site.json')).catch(() => null);
+
+  for (const name of names.sort()) {
+    const file = path.join(postsDir, name);
+    const label = path.relative(process.cwd(), file);
+    files.push(file);
+    if (!POST_FILE.test(name)) {
+      problems.push(`${label}: file name must be a lowercase-kebab-case slug such as talks-ratchet.md`);
+      continue;
+    }
+
+    const { data, body, problems: frontmatterProblems } = parseFrontmatter(await fs.readFile(file, 'utf8'));
+    const ctx = { errors: [...frontmatterProblems] };
+    frontmatter(data, '', ctx);
+    if (typeof data.date === 'string' && Number.isNaN(Date.parse(data.date))) {
+      ctx.errors.push(`date: "${data.date}" is not a calendar date`);
+    }
+    if (typeof data.project === 'string' && projectIds && !projectIds.has(data.project)) {
+      ctx.errors.push(`project: unknown project "${data.project}", expected one of ${[...projectIds].join(', ')}`);
+    }
+    const { html, summary, problems: markdownProblems } = renderMarkdown(body);
+    problems.push(...[...ctx.errors, ...markdownProblems].map((message) => `${label} ${message}`));
+    // Left out so the sort below only sees valid dates; the problems fail the build.
+    if (ctx.errors.length) continue;
+
+    posts.push({ slug: path.basename(name, '.md'), ...data, summary: data.summary ?? summary, html });
+  }
+
+  posts.sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+  return { posts, site, problems, files };
+}
+
+const rfc822 = (date) => new Date(`${date}T00:00:00Z`).toUTCString();
+const rfc3339 = (date) => `${date}T00:00:00Z`;
+
+// Feed readers resolve nothing against the page, so site-relative URLs are made absolute.
+const absolutize = (html, origin) => html.replace(/\b(href|src)="\//g, `$1="${origin}/`);
+
+/** RSS 2.0 and Atom 1.0 documents for the posts, with full content. */
+export function buildFeeds(posts, site) {
+  const title = `${site.name} — Notes`;
+  const home = `${site.url}${NOTES_PATH}`;
+  const postUrl = (post) => `${home}/${post.slug}`;
+  const updated = posts[0]?.date ?? new Date().toISOString().slice(0, 10);
+
+  const rss = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    '<channel>',
+    `<title>${escapeHtml(title)}</title>`,
+    `<link>${home}</link>`,
+    `<description>${escapeHtml(site.description)}</description>`,
+    '<language>en</language>',
+    `<lastBuildDate>${rfc822(updated)}</lastBuildDate>`,
+    `<atom:link href="${site.url}${FEEDS.rss}" rel="self" type="application/rss+xml" />`,
+    ...posts.map((post) =>
+      [
+        '<item>',
+        `<title>${escapeHtml(post.title)}</title>`,
+        `<link>${postUrl(post)}</link>`,
+        `<guid isPermaLink="true">${postUrl(post)}</guid>`,
+        `<pubDate>${rfc822(post.date)}</pubDate>`,
+        `<description>${escapeHtml(post.summary)}</description>`,
+        ...post.tags.map((tag) => `<category>${escapeHtml(tag)}</category>`),
+        `<content:encoded>${escapeHtml(absolutize(post.html, site.url))}</content:encoded>`,
+        '</item>',
+      ].join('\n'),
+    ),
+    '</channel>',
+    '</rss>',
+  ].join('\n');
+
+  const atom = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<subtitle>${escapeHtml(site.description)}</subtitle>`,
+    `<id>${home}</id>`,
+    `<link href="${home}" />`,
+    `<link href="${site.url}${FEEDS.atom}" rel="self" type="application/atom+xml" />`,
+    `<updated>${rfc3339(updated)}</updated>`,
+    `<author><name>${escapeHtml(site.name)}</name><uri>${site.url}</uri></author>`,
+    ...posts.map((post) =>
+      [
+        '<entry>',
+        `<title>${escapeHtml(post.title)}</title>`,
+        `<id>${postUrl(post)}</id>`,
+        `<link href="${postUrl(post)}" />`,
+        `<published>${rfc3339(post.date)}</published>`,
+        `<updated>${rfc3339(post.date)}</updated>`,
+        `<summary>${escapeHtml(post.summary)}</summary>`,
+        ...post.tags.map((tag) => `<category term="${escapeHtml(tag)}" />`),
+        `<content type="html">${escapeHtml(absolutize(post.html, site.url))}</content>`,
+        '</entry>',
+      ].join('\n'),
+    ),
+    '</feed>',
+  ].join('\n');
+
+  return { rss, atom };
+}
+
+/**
+ * Serves src/content/posts/*.md as `virtual:posts` (frontmatter plus compiled
+ * HTML, newest first, and the feed URLs) and writes the RSS and Atom feeds
+ * into the build; the dev server answers the feed URLs too. Invalid posts
+ * fail the build like invalid content does.
+ */
+export default function postsPlugin({ dir = 'src/content' } = {}) {
+  let contentDir;
+  let config;
+
+  // `ctx` is the Rollup plugin context when there is one, for error reporting.
+  const load = async (ctx) => {
+    const result = await loadPosts(contentDir);
+    if (result.problems.length) {
+      const message = `Invalid posts:\n  ${result.problems.join('\n  ')}`;
+      if (ctx) ctx.error(message);
+      throw new Error(message);
+    }
+    return result;
+  };
+
+  return {
+    name: 'portfolio-posts',
+
+    configResolved(resolved) {
+      config = resolved;
+      contentDir = path.resolve(config.root, dir);
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_ID) return;
+      const { posts, files } = await load(this);
+      files.forEach((file) => this.addWatchFile(file));
+      return [
+        `export const posts = ${JSON.stringify(posts, null, 2)};`,
+        `export const feeds = ${JSON.stringify(FEEDS)};`,
+        'export default posts;',
+      ].join('\n\n');
+    },
+
+    async generateBundle() {
+      // The prerender plugin's nested server build needs no feeds.
+      if (config.build.ssr) return;
+      const { posts, site } = await load(this);
+      const feeds = buildFeeds(posts, site);
+      for (const [type, url] of Object.entries(FEEDS)) {
+        this.emitFile({ type: 'asset', fileName: url.slice(1), source: feeds[type] });
+      }
+    },
+
+    configureServer(server) {
+      const types = { rss: 'application/rss+xml', atom: 'application/atom+xml' };
+      server.middlewares.use(async (req, res, next) => {
+        const type = Object.keys(FEEDS).find((key) => req.url === FEEDS[key]);
+        if (!type) return next();
+        try {
+          const { posts, site } = await load();
+          res.setHeader('Content-Type', `${types[type]}; charset=utf-8`);
+          res.end(buildFeeds(posts, site)[type]);
+        } catch (err) {
+          next(err);
+        }
+      });
+    },
+
+    handleHotUpdate({ file, server }) {
+      if (!file.startsWith(path.join(contentDir, POSTS_DIR) + path.sep)) return;
+      const mod = server.moduleGraph.getModuleById(RESOLVED_ID);
+      if (mod) server.moduleGraph.invalidateModule(mod);
+      server.ws.send({ type: 'full-reload' });
+      return [];
+    },
+  };
+}
@@ -0,0 +1,57 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { build } from 'vite';
+
+/**
+ * After the client build, bundles `entry` for Node, renders every route it
+ * lists through `prerenderRoutes()` and writes each one to
+ * `<outDir>/<route>/index.html` with its own <head> and <html lang>. The browser then hydrates
+ * the markup instead of rendering from scratch.
+ */
+export default function prerenderPlugin({ entry = 'src/entry-server.jsx' } = {}) {
+  let config;
+
+  return {
+    name: 'portfolio-prerender',
+    apply: 'build',
+    enforce: 'post',
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    async closeBundle() {
+      // The nested server build below loads this config too.
+      if (config.build.ssr) return;
+
+      const outDir = path.resolve(config.root, config.build.outDir);
+      const serverDir = path.resolve(config.root, 'node_modules/.cache/prerender');
+
+      await build({
+        configFile: config.configFile,
+        mode: config.mode,
+        logLevel: 'warn',
+        build: { ssr: entry, outDir: serverDir, emptyOutDir: true },
+      });
+
+      const serverEntry = path.join(serverDir, `${path.basename(entry, path.extname(entry))}.js`);
+      const { render, prerenderRoutes } = await import(pathToFileURL(serverEntry).href);
+      const template = await fs.readFile(path.join(outDir, 'index.html'), 'utf8');
+
+      for (const route of prerenderRoutes()) {
+        const { html, head, lang } = render(route);
+        const page = template
+          .replace(/<html lang="[^"]*"/, () => `<html lang="${lang}"`)
+          .replace(/<title>.*<\/title>/, () => head)
+          .replace('<div id="root"></div>', () => `<div id="root">${html}</div>`);
+        const file = path.join(outDir, route, 'index.html');
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, page);
+        config.logger.info(`prerendered ${route}`);
+      }
+
+      await fs.rm(serverDir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,92 @@
+import path from 'node:path';
+import { loadContent } from './content.js';
+
+// Emitted at the site root; https://jsonresume.org/schema describes the format.
+export const RESUME_FILE = 'resume.json';
+
+const profileFromUrl = (url, network) => ({ network, username: new URL(url).pathname.split('/').filter(Boolean).pop(), url });
+
+/**
+ * Maps the portfolio content (already validated by content.js) onto a JSON
+ * Resume document: timeline entries become `work`, projects `projects`, and
+ * domains plus skill groups `skills`. English only, like the source content.
+ */
+export function toJsonResume({ site, contact, timeline, projects, domains, skills }) {
+  const email = contact.links.find((link) => link.href.startsWith('mailto:'));
+  const profiles = [
+    profileFromUrl(contact.github, 'GitHub'),
+    ...contact.links
+      .filter((link) => link.href.startsWith('https://'))
+      .map((link) => ({ network: link.label.charAt(0) + link.label.slice(1).toLowerCase(), username: link.text, url: link.href })),
+  ];
+
+  return {
+    $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    basics: {
+      name: site.name,
+      url: site.url,
+      summary: site.description,
+      ...(email && { email: email.href.slice('mailto:'.length) }),
+      profiles,
+    },
+    work: timeline.map((entry) => ({
+      name: entry.title,
+      position: entry.role,
+      startDate: String(entry.start),
+      ...(!entry.ongoing && { endDate: String(entry.end ?? entry.start) }),
+      summary: entry.desc,
+    })),
+    projects: projects.map((project) => ({
+      name: project.title,
+      description: project.subtitle,
+      highlights: project.features.map((feature) => `${feature.label}: ${feature.value}`),
+      keywords: [...project.tags, ...project.tech],
+      ...(project.github_url?.startsWith('https://')
+        ? { url: project.github_url }
+        : project.deepDive && { url: `${site.url}/projects/${project.id}` }),
+      type: project.status.toLowerCase(),
+    })),
+    skills: [
+      ...domains.map((domain) => ({ name: domain.title, keywords: domain.technologies })),
+      ...skills.map((group) => ({ name: group.title, keywords: group.skills.map((skill) => skill.name) })),
+    ],
+    meta: { canonical: `${site.url}/${RESUME_FILE}`, version: 'v1.0.0' },
+  };
+}
+
+/**
+ * Writes `resume.json` (JSON Resume) next to index.html at build time and
+ * serves it from the dev server. Content errors are left to the content
+ * plugin, which fails the build first.
+ */
+export default function resumePlugin({ dir = 'src/content' } = {}) {
+  let config;
+  const build = async () => {
+    const { data, problems } = await loadContent(path.resolve(config.root, dir));
+    return problems.length ? null : `${JSON.stringify(toJsonResume(data), null, 2)}\n`;
+  };
+
+  return {
+    name: 'portfolio-resume',
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    async generateBundle() {
+      if (config.build.ssr) return;
+      const source = await build();
+      if (source) this.emitFile({ type: 'asset', fileName: RESUME_FILE, source });
+    },
+
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        if (req.url !== `/${RESUME_FILE}`) return next();
+        const source = await build();
+        if (!source) return next(new Error('Invalid portfolio content; see the error overlay'));
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(source);
+      });
+    },
+  };
+}
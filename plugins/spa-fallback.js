@@ -0,0 +1,21 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * GitHub Pages answers unknown paths with /404.html. Shipping the app shell
+ * under that name lets deep links such as /projects/talks boot the client
+ * router instead of showing the Pages error page.
+ */
+export default function spaFallbackPlugin() {
+  return {
+    name: 'portfolio-spa-fallback',
+    apply: 'build',
+    enforce: 'post',
+
+    async writeBundle(options, bundle) {
+      const index = bundle['index.html'];
+      if (!index) return;
+      await fs.writeFile(path.join(options.dir, '404.html'), index.source);
+    },
+  };
+}
@@ -0,0 +1,61 @@
+import { useState } from 'react';
+import { MonoLabel } from './primitives';
+import { ArchitectureDiagram } from './diagram/ArchitectureDiagram';
+import { useI18n } from '../i18n/i18n';
+import { ProjectDemo } from '../demos/ProjectDemo';
+import { DEMOS } from '../demos/registry';
+
+const DeepDiveList = ({ title, items }) => (
+  <div>
+    <MonoLabel className="text-accent-muted mb-2 block">{title}</MonoLabel>
+    <ul className="text-sm text-ink-soft space-y-2 list-disc list-inside marker:text-ink-ghost">
+      {items.map((item) => (
+        <li key={item}>{item}</li>
+      ))}
+    </ul>
+  </div>
+);
+
+/**
+ * Problem / constraints / outcome write-up for one project, with its
+ * architecture figure on the left when the project has a diagram and its
+ * interactive demo (src/demos) underneath when it has one.
+ */
+export const DeepDive = ({ project, figureNumber = 1, heading }) => {
+  const { t } = useI18n();
+  const { figure, diagram, problem, constraints, outcome } = project.deepDive;
+  const [live, setLive] = useState(null);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-5 gap-0 border border-edge bg-surface-raised/20">
+      {diagram && (
+        <div className="lg:col-span-2 border-b lg:border-b-0 lg:border-r border-edge bg-surface p-8 pt-12 flex flex-col items-center justify-center relative min-h-[300px]">
+          <div className="absolute top-4 left-4 text-xs font-mono text-ink-faint">
+            {t('deepDive.figure', { number: figureNumber, figure })}
+          </div>
+          <ArchitectureDiagram spec={diagram} title={figure} filename={`${project.id}-architecture`} live={live} />
+        </div>
+      )}
+      <div className={`${diagram ? 'lg:col-span-3' : 'lg:col-span-5'} p-8 lg:p-10`}>
+        <h3 className="text-2xl font-semibold text-ink-strong mb-6">{heading ?? t('deepDive.heading', { title: project.title })}</h3>
+
+        <div className="space-y-8">
+          <div>
+            <MonoLabel className="text-accent-muted mb-2 block">{t('deepDive.problem')}</MonoLabel>
+            <p className="text-ink-soft text-sm leading-relaxed">{problem}</p>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-8">
+            <DeepDiveList title={t('deepDive.constraints')} items={constraints} />
+            <DeepDiveList title={t('deepDive.outcome')} items={outcome} />
+          </div>
+        </div>
+      </div>
+      {DEMOS[project.id] && (
+        <div className="lg:col-span-5 border-t border-edge p-6 lg:p-8">
+          <ProjectDemo project={project} onLive={setLive} />
+        </div>
+      )}
+    </div>
+  );
+};
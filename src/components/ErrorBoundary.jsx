@@ -0,0 +1,24 @@
+import { Component } from 'react';
+
+/**
+ * Catches anything thrown while loading or rendering its children (a missing
+ * chunk, WebGL or driver failures, a crashing demo) and shows `fallback`
+ * instead of letting the error unmount the whole page. The error is logged
+ * under `name`, and `onError` is told as well.
+ */
+export class ErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    console.warn(`${this.props.name} disabled:`, error);
+    this.props.onError?.(error);
+  }
+
+  render() {
+    return this.state.error ? this.props.fallback : this.props.children;
+  }
+}
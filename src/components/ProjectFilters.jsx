@@ -0,0 +1,75 @@
+import { Search, X } from 'lucide-react';
+import { EMPTY_FILTERS, FACETS, facetOptionLabel, hasFilters } from '../lib/projects';
+import { useI18n } from '../i18n/i18n';
+import { MonoLabel } from './primitives';
+
+const Chip = ({ active, onClick, children }) => (
+  <button
+    type="button"
+    aria-pressed={active}
+    onClick={onClick}
+    className={`text-[10px] font-mono px-2 py-1 rounded border transition-colors ${
+      active
+        ? 'border-accent/50 text-accent-strong bg-accent-muted/20'
+        : 'border-edge text-ink-muted hover:border-edge-hover hover:text-ink'
+    }`}
+  >
+    {children}
+  </button>
+);
+
+/** Text search plus one chip row per facet in FACETS. Fully controlled by `filters`. */
+export const ProjectFilters = ({ filters, onChange, resultCount, total }) => {
+  const i18n = useI18n();
+  const { t, formatNumber } = i18n;
+  const toggle = (key, value) =>
+    onChange({
+      ...filters,
+      [key]: filters[key].includes(value) ? filters[key].filter((v) => v !== value) : [...filters[key], value],
+    });
+
+  return (
+    <div className="mb-8 space-y-4 border border-edge bg-surface-raised/20 p-4">
+      <div className="flex items-center gap-3">
+        <label className="flex-grow flex items-center gap-2 border border-edge bg-surface px-3 py-2 focus-within:border-accent-muted">
+          <Search size={14} className="text-ink-faint" />
+          <input
+            type="search"
+            value={filters.q}
+            onChange={(e) => onChange({ ...filters, q: e.target.value })}
+            placeholder={t('filters.search')}
+            aria-label={t('filters.searchLabel')}
+            className="flex-grow bg-transparent text-sm text-ink-bright placeholder:text-ink-faint outline-none"
+          />
+        </label>
+        <span className="shrink-0" aria-live="polite">
+          <MonoLabel>{t('filters.count', { count: formatNumber(resultCount), total: formatNumber(total) })}</MonoLabel>
+        </span>
+        {hasFilters(filters) && (
+          <button
+            type="button"
+            onClick={() => onChange(EMPTY_FILTERS)}
+            className="flex items-center gap-1 text-[10px] font-mono text-ink-muted hover:text-accent-strong"
+          >
+            <X size={12} /> {t('filters.clear')}
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-[auto_1fr] gap-x-4 gap-y-3 items-baseline">
+        {FACETS.map(({ key, options }) => (
+          <div key={key} role="group" aria-label={t('filters.group', { facet: t(`filters.facet.${key}`) })} className="contents">
+            <MonoLabel>{t(`filters.facet.${key}`)}</MonoLabel>
+            <div className="flex flex-wrap gap-2">
+              {options.map((value) => (
+                <Chip key={value} active={filters[key].includes(value)} onClick={() => toggle(key, value)}>
+                  {facetOptionLabel(key, value, i18n)}
+                </Chip>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,134 @@
+import { useEffect, useEffectEvent, useState } from 'react';
+import { Menu, Terminal, X } from 'lucide-react';
+import { Link } from '../router/Router';
+import { useRouter } from '../router/context';
+import { useI18n } from '../i18n/i18n';
+import { LocaleSwitcher } from '../i18n/LocaleSwitcher';
+import { ThemeToggle } from '../theme/ThemeToggle';
+import { MotionToggle } from '../motion/MotionToggle';
+import { ReadinessStatus } from '../diagnostics/ReadinessStatus';
+import { useHydrated } from '../hooks/useHydrated';
+import { useScrollSpy } from '../hooks/useScrollSpy';
+import { NAV_SECTIONS } from '../lib/sections';
+
+const SECTION_IDS = NAV_SECTIONS.map((s) => s.id);
+
+// Height of the fixed nav (h-14) plus a little slack.
+const NAV_OFFSET = 64;
+
+const MENU_ID = 'site-nav-menu';
+
+/**
+ * Fixed site navigation: one entry per home section with a nav label
+ * (lib/sections), with the section being read highlighted and mirrored into
+ * the URL hash, plus the notes index. Below `lg` the entries collapse into a
+ * menu.
+ */
+export function SiteNav({ onOpenTerminal }) {
+  const { path, search, hash, navigate } = useRouter();
+  const { t } = useI18n();
+  const hydrated = useHydrated();
+  const [menuOpen, setMenuOpen] = useState(false);
+  const onHome = path === '/';
+  const active = useScrollSpy(SECTION_IDS, { enabled: onHome, offset: NAV_OFFSET });
+
+  // Keep filters when jumping between sections of the home page. The
+  // prerendered markup cannot know the query string.
+  const base = onHome && hydrated ? `/${search}` : '/';
+
+  const syncHash = useEffectEvent((id) => {
+    const current = hash && document.getElementById(decodeURIComponent(hash.slice(1)));
+    const section = id && document.getElementById(id);
+    // A deeper anchor inside the active section (e.g. #project-talks) stays.
+    if (section && current && section.contains(current)) return;
+    // Null also means "not measured yet"; only clear the hash above the first section.
+    if (!id && document.getElementById(SECTION_IDS[0])?.getBoundingClientRect().top <= NAV_OFFSET) return;
+    const next = id ? `#${id}` : '';
+    if (next !== hash) navigate(`/${search}${next}`, { replace: true, scroll: false });
+  });
+
+  useEffect(() => {
+    if (onHome) syncHash(active);
+  }, [active, onHome]);
+
+  useEffect(() => {
+    if (!menuOpen) return;
+    const onKeyDown = (e) => e.key === 'Escape' && setMenuOpen(false);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [menuOpen]);
+
+  // Home sections, then pages of their own.
+  const links = [
+    ...NAV_SECTIONS.map(({ id, nav }) => ({
+      key: id,
+      to: `${base}#${id}`,
+      label: t(nav),
+      current: active === id && 'location',
+    })),
+    { key: 'notes', to: '/notes', label: t('nav.notes'), current: path.startsWith('/notes') && 'page' },
+  ];
+
+  const entries = (className, activeClassName) =>
+    links.map(({ key, to, label, current }) => (
+      <li key={key}>
+        <Link
+          to={to}
+          aria-current={current || undefined}
+          onClick={() => setMenuOpen(false)}
+          className={`${className} ${current ? activeClassName : 'text-ink-muted hover:text-accent'}`}
+        >
+          {label}
+          <span
+            className={`absolute left-0 -bottom-1 h-[1.5px] bg-accent transition-all duration-300 ${
+              current ? 'w-full' : 'w-0 group-hover:w-full'
+            }`}
+          ></span>
+        </Link>
+      </li>
+    ));
+
+  return (
+    <nav aria-label={t('nav.label')} className="print:hidden fixed top-0 left-0 w-full z-50 h-14 flex items-center justify-between px-6 md:px-12
+                    bg-surface/80 backdrop-blur-md border-b border-edge-subtle shadow-lg transition-all duration-300">
+
+      <button
+        type="button"
+        onClick={onOpenTerminal}
+        title={t('nav.openTerminal')}
+        className="font-mono text-sm tracking-widest text-ink-strong flex items-center gap-2 hover:text-accent transition-colors cursor-pointer"
+      >
+        <Terminal size={16} className="text-accent" />
+        AYUSH M
+      </button>
+
+      <div className="flex items-center gap-6 text-[10px] sm:text-xs font-mono">
+        <ul className="hidden lg:flex gap-6">
+          {entries('relative group transition-colors', 'text-accent')}
+        </ul>
+        <LocaleSwitcher />
+        <ThemeToggle />
+        <MotionToggle />
+        <ReadinessStatus />
+        <button
+          type="button"
+          onClick={() => setMenuOpen((open) => !open)}
+          aria-expanded={menuOpen}
+          aria-controls={MENU_ID}
+          aria-label={t('nav.menu')}
+          className="lg:hidden text-ink-muted hover:text-accent transition-colors"
+        >
+          {menuOpen ? <X size={18} /> : <Menu size={18} />}
+        </button>
+      </div>
+
+      <ul
+        id={MENU_ID}
+        hidden={!menuOpen}
+        className="lg:hidden absolute top-14 left-0 w-full bg-surface/95 backdrop-blur-md border-b border-edge-subtle px-6 py-4 space-y-3 text-xs font-mono"
+      >
+        {entries('relative group block w-fit py-1 transition-colors', 'text-accent')}
+      </ul>
+    </nav>
+  );
+}
@@ -0,0 +1,17 @@
+import { Link } from '../router/Router';
+
+/** Chip linking to the notes index filtered by `tag` (or unfiltered without one). */
+export const TagLink = ({ tag, active = false, children }) => (
+  <Link
+    to={tag ? `/notes?tag=${encodeURIComponent(tag)}` : '/notes'}
+    scroll={false}
+    aria-current={active ? 'true' : undefined}
+    className={`text-[10px] font-mono px-2 py-1 rounded border transition-colors ${
+      active
+        ? 'border-accent/50 text-accent-strong bg-accent-muted/20'
+        : 'border-edge text-ink-muted hover:border-edge-hover hover:text-ink'
+    }`}
+  >
+    {children ?? `#${tag}`}
+  </Link>
+);
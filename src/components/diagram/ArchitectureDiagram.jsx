@@ -0,0 +1,136 @@
+import { useId, useMemo, useRef } from 'react';
+import { Download } from 'lucide-react';
+import { layoutDiagram } from './layout';
+import { downloadPng, downloadSvg } from './download';
+import { readToken } from '../../theme/theme';
+
+// Colours are theme tokens (src/index.css) set through inline styles, since SVG
+// presentation attributes cannot use var(). The download resolves them to the
+// current theme's values so a saved SVG/PNG looks the same as the figure.
+const FONT = 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+const token = (name) => `rgb(var(--${name}))`;
+const BACKGROUND = token('surface');
+const EDGE = token('edge-strong');
+const FLOW = token('accent');
+const DETAIL = token('ink-soft');
+
+const ROLES = {
+  accent: { stroke: token('accent-muted'), title: token('accent'), tint: token('accent') },
+  secondary: { stroke: token('secondary-muted'), title: token('secondary'), tint: token('status-research') },
+  neutral: { stroke: token('edge-strong'), title: token('ink-strong'), tint: token('ink-muted') },
+};
+
+const DiagramNode = ({ node }) => {
+  const role = ROLES[node.role];
+  const rx = node.kind === 'output' ? node.h / 2 : 4;
+
+  return (
+    <g transform={`translate(${node.x} ${node.y})`}>
+      <rect
+        width={node.w}
+        height={node.h}
+        rx={rx}
+        style={{ fill: node.kind === 'output' ? BACKGROUND : token('surface-raised'), stroke: role.stroke }}
+        strokeWidth={node.kind === 'process' ? 1.5 : 1}
+      />
+      {node.kind === 'process' && (
+        <rect width={node.w} height={node.h} rx={rx} style={{ fill: role.tint }} fillOpacity={0.06} className="animate-pulse" />
+      )}
+      {node.kind === 'model' && <rect x={6} y={0} width={node.w - 12} height={2} style={{ fill: role.tint }} />}
+      <text
+        x={node.w / 2}
+        y={node.detail ? 15 : node.h / 2 + 3.5}
+        textAnchor="middle"
+        fontFamily={FONT}
+        fontSize={10}
+        style={{ fill: role.title }}
+      >
+        {node.label}
+      </text>
+      {node.detail && (
+        <text x={node.w / 2} y={29} textAnchor="middle" fontFamily={FONT} fontSize={9} style={{ fill: DETAIL }}>
+          {node.detail}
+        </text>
+      )}
+    </g>
+  );
+};
+
+// Live values replace a node's detail line.
+const withValues = (spec, values) =>
+  values ? { ...spec, nodes: spec.nodes.map((node) => (node.id in values ? { ...node, detail: values[node.id] } : node)) } : spec;
+
+/**
+ * Renders a `deepDive.diagram` spec from the project content as an SVG
+ * figure, with dashes animating along each edge in the direction of data flow.
+ * A project demo can drive it through `live`: `{ running, flow, values }`,
+ * where `flow` maps edge ids (`from->to`) to how much is flowing (0–1, drawn as
+ * brightness and width), `values` maps node ids to a short reading, and the
+ * dashes only move while `running`.
+ */
+export const ArchitectureDiagram = ({ spec, title, filename = 'diagram', live = null }) => {
+  const svgRef = useRef(null);
+  const markerId = `arrow-${useId().replace(/[^a-zA-Z0-9_-]/g, '')}`;
+  const layout = useMemo(() => layoutDiagram(withValues(spec, live?.values)), [spec, live?.values]);
+
+  const handleDownload = (format) => {
+    const save = format === 'PNG' ? downloadPng : downloadSvg;
+    save(svgRef.current, filename, { background: readToken('surface') });
+  };
+
+  return (
+    <figure className="w-full flex flex-col items-center gap-4 select-none">
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${layout.width} ${layout.height}`}
+        className="w-full h-auto"
+        style={{ maxWidth: layout.width * 1.4 }}
+        role="img"
+        aria-label={title}
+      >
+        <title>{title}</title>
+        <defs>
+          <marker id={markerId} viewBox="0 0 6 6" refX={5} refY={3} markerWidth={6} markerHeight={6} orient="auto">
+            <path d="M0 0 L6 3 L0 6 Z" style={{ fill: EDGE }} />
+          </marker>
+        </defs>
+
+        {layout.edges.map((edge) => {
+          const flow = live ? (live.flow[edge.id] ?? 0) : 1;
+          return (
+            <g key={edge.id}>
+              <path d={edge.d} fill="none" style={{ stroke: EDGE }} strokeWidth={1} markerEnd={`url(#${markerId})`} />
+              <path
+                data-flow
+                d={edge.d}
+                fill="none"
+                style={{ stroke: FLOW, animationPlayState: live && !live.running ? 'paused' : undefined }}
+                strokeWidth={live ? 1 + 1.5 * flow : 1}
+                strokeDasharray="3 9"
+                strokeOpacity={live ? 0.15 + 0.85 * flow : 0.8}
+                className="animate-flow"
+              />
+            </g>
+          );
+        })}
+
+        {layout.nodes.map((node) => (
+          <DiagramNode key={node.id} node={node} />
+        ))}
+      </svg>
+
+      <figcaption className="flex gap-2 font-mono text-[10px]">
+        {['SVG', 'PNG'].map((format) => (
+          <button
+            key={format}
+            type="button"
+            onClick={() => handleDownload(format)}
+            className="flex items-center gap-1 px-2 py-0.5 rounded border border-edge text-ink-muted hover:border-accent hover:text-accent-strong transition"
+          >
+            <Download size={10} /> {format}
+          </button>
+        ))}
+      </figcaption>
+    </figure>
+  );
+};
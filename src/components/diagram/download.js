@@ -0,0 +1,70 @@
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const triggerDownload = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Inline styles reference the theme's CSS variables, which a standalone file
+// cannot see; swap them for the colours they currently compute to.
+const resolveColours = (source, clone) => {
+  const originals = source.querySelectorAll('[style]');
+  clone.querySelectorAll('[style]').forEach((node, i) => {
+    const computed = getComputedStyle(originals[i]);
+    if (node.style.fill) node.style.fill = computed.fill;
+    if (node.style.stroke) node.style.stroke = computed.stroke;
+  });
+};
+
+/**
+ * Standalone copy of a rendered diagram: explicit size, a solid background,
+ * resolved theme colours and without the animated flow overlays, which only
+ * make sense on the page.
+ */
+function serialize(svg, background) {
+  const clone = svg.cloneNode(true);
+  resolveColours(svg, clone);
+  const [, , width, height] = clone.getAttribute('viewBox').split(' ').map(Number);
+  clone.setAttribute('xmlns', SVG_NS);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.removeAttribute('class');
+  clone.querySelectorAll('[data-flow]').forEach((node) => node.remove());
+
+  const bg = document.createElementNS(SVG_NS, 'rect');
+  bg.setAttribute('width', '100%');
+  bg.setAttribute('height', '100%');
+  bg.setAttribute('fill', background);
+  clone.insertBefore(bg, clone.firstChild);
+
+  return { markup: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+export function downloadSvg(svg, filename, { background }) {
+  const { markup } = serialize(svg, background);
+  triggerDownload(new Blob([markup], { type: 'image/svg+xml' }), `${filename}.svg`);
+}
+
+export async function downloadPng(svg, filename, { background, scale = 3 }) {
+  const { markup, width, height } = serialize(svg, background);
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    triggerDownload(blob, `${filename}.png`);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,57 @@
+// Layered layout for architecture diagrams: every `layer` becomes a row, rows
+// are stacked top to bottom and centred, and edges run as elbow connectors
+// from the bottom of the source node to the top of the target node.
+
+const TITLE_CHAR = 6.2; // approx. advance of a 10px monospace glyph
+const DETAIL_CHAR = 5.6;
+const PAD_X = 10;
+const MIN_NODE_WIDTH = 88;
+const NODE_GAP = 16;
+const LAYER_GAP = 40;
+const MARGIN = 12;
+
+const nodeSize = ({ label, detail }) => ({
+  w: Math.max(MIN_NODE_WIDTH, label.length * TITLE_CHAR + 2 * PAD_X, (detail?.length ?? 0) * DETAIL_CHAR + 2 * PAD_X),
+  h: detail ? 38 : 26,
+});
+
+/**
+ * @param {{ nodes: Array<{ id: string, label: string, detail?: string, layer: number }>,
+ *           edges: Array<{ from: string, to: string }> }} spec
+ * @returns {{ width: number, height: number, nodes: Array<object>, edges: Array<{ id: string, from: string, to: string, d: string }> }}
+ */
+export function layoutDiagram({ nodes, edges }) {
+  const rows = [...new Set(nodes.map((n) => n.layer))]
+    .sort((a, b) => a - b)
+    .map((layer) => nodes.filter((n) => n.layer === layer).map((n) => ({ ...n, ...nodeSize(n) })));
+
+  const rowWidth = (row) => row.reduce((sum, n) => sum + n.w, 0) + NODE_GAP * (row.length - 1);
+  const width = Math.max(...rows.map(rowWidth)) + 2 * MARGIN;
+
+  const placed = new Map();
+  let y = MARGIN;
+  for (const row of rows) {
+    const rowHeight = Math.max(...row.map((n) => n.h));
+    let x = (width - rowWidth(row)) / 2;
+    for (const node of row) {
+      placed.set(node.id, { ...node, x, y: y + (rowHeight - node.h) / 2, cx: x + node.w / 2 });
+      x += node.w + NODE_GAP;
+    }
+    y += rowHeight + LAYER_GAP;
+  }
+  const height = y - LAYER_GAP + MARGIN;
+
+  const routed = edges.map(({ from, to }) => {
+    const a = placed.get(from);
+    const b = placed.get(to);
+    const sy = a.y + a.h;
+    const ty = b.y;
+    const d =
+      Math.abs(a.cx - b.cx) < 0.5
+        ? `M ${a.cx} ${sy} V ${ty}`
+        : `M ${a.cx} ${sy} V ${ty - LAYER_GAP / 2} H ${b.cx} V ${ty}`;
+    return { id: `${from}->${to}`, from, to, d };
+  });
+
+  return { width, height, nodes: [...placed.values()], edges: routed };
+}
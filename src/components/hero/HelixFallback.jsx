@@ -0,0 +1,68 @@
+import { useMemo } from 'react';
+import { helixRungs, helixStrands } from './helix';
+import { useI18n } from '../../i18n/i18n';
+
+// Same framing as the WebGL camera (z = 25, fov 45) and the Rotator tilt.
+const TILT = Math.PI / 6;
+const HALF_HEIGHT = 25 * Math.tan((45 / 2) * (Math.PI / 180));
+const HALF_WIDTH = HALF_HEIGHT * 1.4;
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+const project = ([x, y, z]) => ({
+  x: round(x * Math.cos(TILT) - y * Math.sin(TILT)),
+  y: round(-(x * Math.sin(TILT) + y * Math.cos(TILT))),
+  z,
+});
+
+const segments = (points) => points.slice(1).map((p, i) => [project(points[i]), project(p)]);
+
+/**
+ * Static SVG rendering of the hero helix from the same parameters as the
+ * WebGL scene. Shown when WebGL is missing or fails, and in the prerendered HTML.
+ * Depth is suggested by fading the parts of the helix further from the camera.
+ * Rungs are coloured like the scene's (see helixItems); `highlight` is the
+ * index of the rung to emphasise.
+ */
+export const HelixFallback = ({ turns, radius, height, items, highlight = null }) => {
+  const { t } = useI18n();
+  const { strands, rungs } = useMemo(() => {
+    const { strandA, strandB } = helixStrands({ turns, radius, height }, 24);
+    return {
+      strands: [...segments(strandA), ...segments(strandB)],
+      rungs: helixRungs({ turns, radius, height }, items.length).map(({ start, end }) => [project(start), project(end)]),
+    };
+  }, [turns, radius, height, items.length]);
+
+  const depth = (a, b) => 0.25 + 0.75 * (((a.z + b.z) / 2 + radius) / (2 * radius));
+
+  return (
+    <svg
+      viewBox={`${-HALF_WIDTH} ${-HALF_HEIGHT} ${HALF_WIDTH * 2} ${HALF_HEIGHT * 2}`}
+      preserveAspectRatio="xMidYMid slice"
+      className="w-full h-full"
+      role="img"
+      aria-label={t('hero.helixAlt')}
+    >
+      <g style={{ stroke: 'rgb(var(--scene-helix))' }} strokeLinecap="round">
+        {rungs.map(([a, b], i) => (
+          <line
+            key={items[i].key}
+            x1={a.x}
+            y1={a.y}
+            x2={b.x}
+            y2={b.y}
+            style={{ stroke: `rgb(var(--${items[i].token}))` }}
+            strokeWidth={i === highlight ? 0.32 : 0.16}
+            strokeOpacity={i === highlight ? 1 : round(depth(a, b) * 0.8)}
+          >
+            <title>{items[i].label}</title>
+          </line>
+        ))}
+        {strands.map(([a, b], i) => (
+          <line key={`s${i}`} x1={a.x} y1={a.y} x2={b.x} y2={b.y} strokeWidth={0.3} strokeOpacity={round(depth(a, b))} />
+        ))}
+      </g>
+    </svg>
+  );
+};
@@ -0,0 +1,291 @@
+import { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { Canvas, useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { Html, OrbitControls, PerformanceMonitor, useCursor } from '@react-three/drei';
+import { helixRungs, helixStrands } from './helix';
+import { QUALITY_PRESETS, detectQuality } from './quality';
+import { themeToken, useTheme } from '../../theme/theme';
+import { LOW_POWER_FPS, useMotion } from '../../motion/motion';
+import { reportFrame, setSceneState } from '../../diagnostics/vitals';
+
+const toVector = ([x, y, z]) => new THREE.Vector3(x, y, z);
+const UP = new THREE.Vector3(0, 1, 0);
+const WHITE = new THREE.Color('white');
+
+// Rungs are thin; picking uses an invisible, wider copy of each one.
+const PICK_SCALE = 4;
+const ACTIVE_SCALE = 2;
+// How far strand colour leans towards the nearest rung's colour.
+const STRAND_TINT = 0.45;
+
+const colourStrand = (geometry, height, base, rungColours) => {
+  const positions = geometry.attributes.position;
+  const colours = new Float32Array(positions.count * 3);
+  const last = rungColours.length - 1;
+  const mixed = new THREE.Color();
+  for (let i = 0; i < positions.count; i += 1) {
+    const rung = Math.round(((positions.getY(i) + height / 2) / height) * last);
+    mixed.copy(base).lerp(rungColours[Math.min(last, Math.max(0, rung))], STRAND_TINT);
+    mixed.toArray(colours, i * 3);
+  }
+  geometry.setAttribute('color', new THREE.BufferAttribute(colours, 3));
+};
+
+/**
+ * The helix with one rung per item, each in its item's colour, and strands
+ * tinted by the rungs along them. `active` is the rung shown enlarged;
+ * `onHover` and `onSelect` receive a rung index (or null when the pointer
+ * leaves).
+ */
+const DNAHelix = ({ turns = 3, radius = 2, height = 15, quality, color, rungColours, active, onHover, onSelect }) => {
+  const { tubularSegments, radialSegments, rungSegments } = QUALITY_PRESETS[quality];
+  const count = rungColours.length;
+  const rungsRef = useRef();
+  const pickRef = useRef();
+  const strandARef = useRef();
+  const strandBRef = useRef();
+
+  // Curves and per-rung placements are computed once per shape, not per frame.
+  const { backbone1Curve, backbone2Curve, rungPlacements } = useMemo(() => {
+    const { strandA, strandB } = helixStrands({ turns, radius, height });
+
+    const placements = helixRungs({ turns, radius, height }, count).map(({ start, end }) => {
+      const a = toVector(start);
+      const b = toVector(end);
+      const direction = new THREE.Vector3().subVectors(b, a);
+      const length = direction.length();
+      return {
+        position: a.clone().add(b).multiplyScalar(0.5),
+        rotation: new THREE.Quaternion().setFromUnitVectors(UP, direction.normalize()),
+        length,
+      };
+    });
+
+    return {
+      backbone1Curve: new THREE.CatmullRomCurve3(strandA.map(toVector)),
+      backbone2Curve: new THREE.CatmullRomCurve3(strandB.map(toVector)),
+      rungPlacements: placements,
+    };
+  }, [turns, radius, height, count]);
+
+  const colours = useMemo(() => rungColours.map((c) => new THREE.Color(c)), [rungColours]);
+
+  useLayoutEffect(() => {
+    const matrix = new THREE.Matrix4();
+    const highlight = new THREE.Color();
+    rungPlacements.forEach(({ position, rotation, length }, i) => {
+      const width = i === active ? ACTIVE_SCALE : 1;
+      rungsRef.current.setMatrixAt(i, matrix.compose(position, rotation, new THREE.Vector3(width, length, width)));
+      pickRef.current.setMatrixAt(i, matrix.compose(position, rotation, new THREE.Vector3(PICK_SCALE, length, PICK_SCALE)));
+      rungsRef.current.setColorAt(i, i === active ? highlight.copy(colours[i]).lerp(WHITE, 0.35) : colours[i]);
+    });
+    rungsRef.current.instanceMatrix.needsUpdate = true;
+    rungsRef.current.instanceColor.needsUpdate = true;
+    pickRef.current.instanceMatrix.needsUpdate = true;
+  }, [rungPlacements, colours, active]);
+
+  useLayoutEffect(() => {
+    const base = new THREE.Color(color);
+    colourStrand(strandARef.current, height, base, colours);
+    colourStrand(strandBRef.current, height, base, colours);
+  }, [backbone1Curve, backbone2Curve, tubularSegments, radialSegments, height, color, colours]);
+
+  useCursor(active !== null);
+
+  const pick = (e) => {
+    e.stopPropagation();
+    onHover(e.instanceId);
+  };
+
+  return (
+    <group>
+      {/* Strand 1 */}
+      <mesh>
+        <tubeGeometry ref={strandARef} args={[backbone1Curve, tubularSegments, 0.15, radialSegments, false]} />
+        <meshStandardMaterial vertexColors roughness={0.4} metalness={0.1} />
+      </mesh>
+
+      {/* Strand 2 */}
+      <mesh>
+        <tubeGeometry ref={strandBRef} args={[backbone2Curve, tubularSegments, 0.15, radialSegments, false]} />
+        <meshStandardMaterial vertexColors roughness={0.4} metalness={0.1} />
+      </mesh>
+
+      {/* Rungs (Base Pairs): one draw call, unit-height cylinder scaled and coloured per instance */}
+      <instancedMesh key={`rungs-${count}`} ref={rungsRef} args={[undefined, undefined, count]}>
+        <cylinderGeometry args={[0.08, 0.08, 1, rungSegments]} />
+        <meshStandardMaterial roughness={0.4} />
+      </instancedMesh>
+
+      {/* Pointer targets for the rungs */}
+      <instancedMesh
+        key={`pick-${count}`}
+        ref={pickRef}
+        args={[undefined, undefined, count]}
+        onPointerOver={pick}
+        onPointerMove={pick}
+        onPointerOut={() => onHover(null)}
+        onClick={(e) => {
+          e.stopPropagation();
+          onSelect(e.instanceId);
+        }}
+      >
+        <cylinderGeometry args={[0.08, 0.08, 1, 4]} />
+        <meshBasicMaterial transparent opacity={0} depthWrite={false} />
+      </instancedMesh>
+    </group>
+  );
+};
+
+const RungTooltip = ({ title, detail }) => (
+  <div className="ml-3 -translate-y-1/2 px-2 py-1 bg-surface/95 border border-edge whitespace-nowrap">
+    <div className="text-xs text-ink-strong">{title}</div>
+    <div className="font-mono text-[10px] text-ink-muted">{detail}</div>
+  </div>
+);
+
+/**
+ * Rotator Component
+ * Handles the specific rotation logic requested:
+ * 1. Tilted axis (handled by parent/self rotation order or container)
+ * 2. Spinning around its own Y axis (unless `spin` is false, e.g. reduced motion
+ *    or while a rung is hovered, so it holds still to be picked)
+ */
+const Rotator = ({ spin = true, children }) => {
+  const groupRef = useRef();
+
+  useFrame((state, delta) => {
+    if (spin && groupRef.current) {
+      // Rotate around the local Y axis
+      groupRef.current.rotation.y -= delta * 0.5; // Adjust speed here
+    }
+  });
+
+  return (
+    // Outer group handles the Tilt
+    <group rotation={[0, 0, Math.PI / 6]}>
+      {/* Inner group handles the Spin */}
+      <group ref={groupRef}>
+        {children}
+      </group>
+    </group>
+  );
+};
+
+/**
+ * Drives a `frameloop="demand"` canvas at a fixed rate. Frames still report
+ * the real elapsed `delta`, so animation speed is unchanged, only coarser.
+ */
+const FrameLimiter = ({ fps }) => {
+  const invalidate = useThree((state) => state.invalidate);
+
+  useEffect(() => {
+    const timer = setInterval(() => invalidate(), 1000 / fps);
+    return () => clearInterval(timer);
+  }, [fps, invalidate]);
+
+  return null;
+};
+
+/**
+ * Renders each frame itself (a positive useFrame priority takes over
+ * react-three-fiber's render call) to time gl.render for the diagnostics
+ * panel. That is the CPU side of the frame: issuing the WebGL commands.
+ */
+const FrameProbe = () => {
+  useFrame(({ gl, scene, camera }) => {
+    const start = performance.now();
+    gl.render(scene, camera);
+    const end = performance.now();
+    reportFrame(end - start, end);
+  }, 1);
+
+  return null;
+};
+
+/**
+ * The WebGL hero. Loaded lazily so three.js stays out of the main chunk.
+ * `active` is false while the canvas is off screen: the frameloop then only
+ * renders on demand (e.g. after OrbitControls input), so Rotator stops.
+ * Context loss/restore events are reported to the parent, which owns recovery.
+ * Background, helix and light colours come from the active theme's tokens.
+ * Under reduced motion the helix holds still and frames render on demand;
+ * in low-power mode the loop is capped at LOW_POWER_FPS.
+ *
+ * Each rung is one of `items` (see helixItems). Hovering a rung, or passing
+ * its index as `highlight` (keyboard focus in the parent's index), stops the
+ * spin and shows `describe(item)` next to it; clicking calls `onSelect(item)`.
+ */
+export default function HelixScene({ helix, items, highlight = null, describe, onSelect, active, onContextLost, onContextRestored }) {
+  const [quality] = useState(detectQuality);
+  const [minDpr, maxDpr] = QUALITY_PRESETS[quality].dpr;
+  const [dpr, setDpr] = useState(maxDpr);
+  const { theme } = useTheme();
+  const { reduced, lowPower } = useMotion();
+  const capped = active && !reduced && lowPower;
+  const [hovered, setHovered] = useState(null);
+  const current = hovered ?? highlight;
+  const colours = useMemo(
+    () => ({
+      background: themeToken(theme, 'canvas'),
+      helix: themeToken(theme, 'scene-helix'),
+      fill: themeToken(theme, 'scene-fill-light'),
+      rungs: items.map((item) => themeToken(theme, item.token)),
+    }),
+    [theme, items],
+  );
+  const tooltipAt = useMemo(
+    () => (current === null ? null : helixRungs(helix, items.length)[current].start),
+    [helix, items.length, current],
+  );
+
+  return (
+    <Canvas
+      camera={{ position: [0, 0, 25], fov: 45 }}
+      dpr={dpr}
+      frameloop={active && !reduced && !lowPower ? 'always' : 'demand'}
+      onCreated={({ gl, invalidate }) => {
+        setSceneState('ready');
+        gl.domElement.addEventListener('webglcontextlost', onContextLost);
+        gl.domElement.addEventListener('webglcontextrestored', () => {
+          onContextRestored();
+          invalidate();
+        });
+      }}
+    >
+      {capped && <FrameLimiter fps={LOW_POWER_FPS} />}
+      <FrameProbe />
+      <PerformanceMonitor onDecline={() => setDpr(minDpr)} onIncline={() => setDpr(maxDpr)} />
+
+      {/* Background Color */}
+      <color attach="background" args={[colours.background]} />
+
+      {/* Lighting to make the helix stand out with depth */}
+      <ambientLight intensity={theme === 'light' ? 0.6 : 0.2} />
+      <pointLight position={[10, 10, 10]} intensity={1.5} color="white" />
+      <pointLight position={[-10, -10, -10]} intensity={0.5} color={colours.fill} />
+      <directionalLight position={[0, 0, 5]} intensity={1} />
+
+      {/* The DNA Content */}
+      <Rotator spin={!reduced && current === null}>
+        <DNAHelix
+          {...helix}
+          quality={quality}
+          color={colours.helix}
+          rungColours={colours.rungs}
+          active={current}
+          onHover={setHovered}
+          onSelect={(index) => onSelect(items[index])}
+        />
+        {tooltipAt && (
+          <Html position={tooltipAt} zIndexRange={[20, 0]} style={{ pointerEvents: 'none' }}>
+            <RungTooltip {...describe(items[current])} />
+          </Html>
+        )}
+      </Rotator>
+
+      {/* Orbit Controls for user interaction (optional) */}
+      <OrbitControls enableZoom={true} enablePan={false} />
+    </Canvas>
+  );
+}
@@ -0,0 +1,134 @@
+import { lazy, Suspense, useEffect, useMemo, useRef, useState } from 'react';
+import { ErrorBoundary } from '../ErrorBoundary';
+import { useHydrated } from '../../hooks/useHydrated';
+import { useI18n } from '../../i18n/i18n';
+import { Link } from '../../router/Router';
+import { useRouter } from '../../router/context';
+import { HELIX, helixItems } from './helix';
+import { HelixFallback } from './HelixFallback';
+import { isWebGLAvailable } from './webgl';
+import { setSceneState } from '../../diagnostics/vitals';
+
+const HelixScene = lazy(() => import('./HelixScene'));
+
+// How long to wait for the browser to restore a lost context before
+// remounting the canvas, and how many remounts to try before giving up.
+const RESTORE_TIMEOUT_MS = 3000;
+const MAX_REMOUNTS = 2;
+
+/**
+ * The hero helix, one rung per project and skill. Picking a rung (pointer in
+ * the WebGL scene, or the keyboard index below it) leads to that project's
+ * card or to the skills section; `projectsId` and `skillsId` are those
+ * sections' anchors, if the layout has them.
+ */
+export const SystemIntegrationViz = ({ projectsId, skillsId }) => {
+  // The Canvas needs WebGL, so the prerendered HTML carries the SVG fallback
+  // and the scene chunk (three.js, react-three-fiber) is fetched after hydration.
+  const hydrated = useHydrated();
+  const { t, content } = useI18n();
+  const { navigate } = useRouter();
+  const items = useMemo(() => helixItems(content), [content]);
+  const [focused, setFocused] = useState(null);
+  const containerRef = useRef(null);
+  const [visible, setVisible] = useState(true);
+  const [contextLost, setContextLost] = useState(false);
+  const [remounts, setRemounts] = useState(0);
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(([entry]) => setVisible(entry.isIntersecting));
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!contextLost || remounts >= MAX_REMOUNTS) return;
+    const timer = setTimeout(() => {
+      setRemounts((n) => n + 1);
+      setContextLost(false);
+    }, RESTORE_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [contextLost, remounts]);
+
+  // Projects open their card on the home page, or their page if the layout has no projects section.
+  const hrefFor = (item) => {
+    if (item.kind === 'project') return projectsId ? `/#project-${item.id}` : `/projects/${item.id}`;
+    return skillsId ? `/#${skillsId}` : null;
+  };
+  const describe = (item) => ({
+    title: item.label,
+    detail: [
+      t(`hero.helix.${item.kind}`),
+      item.kind === 'project' ? t(`status.${item.status}`) : t(`hero.helix.type.${item.type}`),
+      item.group,
+    ].join(' · '),
+  });
+  const select = (item) => {
+    const href = hrefFor(item);
+    if (href) navigate(href);
+  };
+
+  const fallback = <HelixFallback {...HELIX} items={items} highlight={focused} />;
+  const useWebGL = hydrated && isWebGLAvailable() && !(contextLost && remounts >= MAX_REMOUNTS);
+
+  // For the nav's readiness state: the scene is pending until HelixScene has
+  // created its canvas, unless the SVG fallback is all there will be.
+  useEffect(() => {
+    if (!hydrated) return;
+    setSceneState(useWebGL ? 'pending' : 'fallback');
+    return () => setSceneState('off');
+  }, [hydrated, useWebGL]);
+
+  return (
+    <div ref={containerRef} className="w-full h-96 bg-canvas relative overflow-hidden">
+      {useWebGL ? (
+        <ErrorBoundary name="3D hero" fallback={fallback} onError={() => setSceneState('fallback')}>
+          <Suspense fallback={fallback}>
+            <HelixScene
+              key={remounts}
+              helix={HELIX}
+              items={items}
+              highlight={focused}
+              describe={describe}
+              onSelect={select}
+              active={visible && !contextLost}
+              onContextLost={(e) => {
+                // Tells the browser we intend to restore, so it may fire webglcontextrestored.
+                e.preventDefault();
+                setContextLost(true);
+              }}
+              onContextRestored={() => setContextLost(false)}
+            />
+          </Suspense>
+          {contextLost && <div className="absolute inset-0 bg-canvas">{fallback}</div>}
+        </ErrorBoundary>
+      ) : (
+        fallback
+      )}
+      <nav
+        aria-label={t('hero.helixIndex')}
+        className="sr-only focus-within:not-sr-only focus-within:absolute focus-within:inset-x-2 focus-within:bottom-2 focus-within:max-h-40 focus-within:overflow-y-auto bg-surface/95 border border-edge"
+      >
+        <ul className="p-2 grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1">
+          {items.map((item, i) => {
+            const href = hrefFor(item);
+            if (!href) return null;
+            const { title, detail } = describe(item);
+            return (
+              <li key={item.key}>
+                <Link
+                  to={href}
+                  onFocus={() => setFocused(i)}
+                  onBlur={() => setFocused(null)}
+                  className="block text-xs text-ink-soft hover:text-ink-strong focus:text-accent-strong"
+                >
+                  {title} <span className="font-mono text-[10px] text-ink-faint">{detail}</span>
+                </Link>
+              </li>
+            );
+          })}
+        </ul>
+      </nav>
+    </div>
+  );
+};
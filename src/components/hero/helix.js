@@ -0,0 +1,74 @@
+// Plain-number helix geometry shared by the WebGL scene and anything else that
+// needs to draw the same shape. No three.js here, so importing it is free.
+
+/** Parameters of the hero helix: taller and with fewer turns for an open, stretched look. */
+export const HELIX = { turns: 3, radius: 3, height: 35 };
+
+const RUNGS_PER_TURN = 10;
+
+const pointAt = (angle, y, radius) => [Math.cos(angle) * radius, y, Math.sin(angle) * radius];
+
+/** Control points for both backbones; the strands are 180 degrees apart. */
+export function helixStrands({ turns, radius, height }, pointsPerTurn = 40) {
+  const strandA = [];
+  const strandB = [];
+  const total = turns * pointsPerTurn;
+
+  for (let i = 0; i <= total; i++) {
+    const angle = (i / pointsPerTurn) * Math.PI * 2;
+    const y = (i / total) * height - height / 2;
+    strandA.push(pointAt(angle, y, radius));
+    strandB.push(pointAt(angle + Math.PI, y, radius));
+  }
+  return { strandA, strandB };
+}
+
+/**
+ * Base pairs: start/end points of each rung connecting the strands, `count`
+ * of them spread evenly from bottom to top.
+ */
+export function helixRungs({ turns, radius, height }, count = turns * RUNGS_PER_TURN + 1) {
+  const last = Math.max(1, count - 1);
+  return Array.from({ length: count }, (_, i) => {
+    const angle = (i / last) * turns * Math.PI * 2;
+    const y = (i / last) * height - height / 2;
+    return { start: pointAt(angle, y, radius), end: pointAt(angle + Math.PI, y, radius) };
+  });
+}
+
+// Theme tokens (src/index.css) for rung colours, matching the project status
+// badges and skill badges.
+const STATUS_TOKENS = { ACTIVE: 'status-active', RESEARCH: 'status-research', PROTOTYPE: 'status-prototype' };
+const SKILL_TOKENS = { core: 'accent', learning: 'status-learning', normal: 'scene-helix' };
+
+/**
+ * What each rung stands for, bottom to top: every project (grouped by
+ * domain), then every skill (grouped as on the page). Each item carries the
+ * theme token it is drawn in.
+ */
+export function helixItems({ projects, skills, domains }) {
+  const domainOrder = domains.map((d) => d.id);
+  const projectItems = [...projects]
+    .sort((a, b) => domainOrder.indexOf(a.domain) - domainOrder.indexOf(b.domain))
+    .map((project) => ({
+      key: `project:${project.id}`,
+      kind: 'project',
+      id: project.id,
+      label: project.title,
+      status: project.status,
+      group: domains.find((d) => d.id === project.domain)?.title,
+      token: STATUS_TOKENS[project.status] ?? 'scene-helix',
+    }));
+  const skillItems = skills.flatMap((group) =>
+    group.skills.map((skill) => ({
+      key: `skill:${group.id}:${skill.name}`,
+      kind: 'skill',
+      id: group.id,
+      label: skill.name,
+      type: skill.type,
+      group: group.title,
+      token: SKILL_TOKENS[skill.type] ?? 'scene-helix',
+    })),
+  );
+  return [...projectItems, ...skillItems];
+}
@@ -0,0 +1,22 @@
+// Rendering presets for the hero scene, picked once from what the browser
+// reports about the device. PerformanceMonitor can still lower the DPR later.
+
+export const QUALITY_PRESETS = {
+  low: { dpr: [0.75, 1], tubularSegments: 60, radialSegments: 5, rungSegments: 4 },
+  medium: { dpr: [1, 1.5], tubularSegments: 100, radialSegments: 8, rungSegments: 6 },
+  high: { dpr: [1, 2], tubularSegments: 160, radialSegments: 10, rungSegments: 8 },
+};
+
+const cores = () => navigator.hardwareConcurrency ?? 4;
+const memory = () => navigator.deviceMemory ?? 4; // Chromium only
+
+/** Data saver is on, or the device has at most 2 cores or 2 GB of memory. */
+export const isLowEndDevice = () => navigator.connection?.saveData === true || cores() <= 2 || memory() <= 2;
+
+export function detectQuality() {
+  const coarsePointer = window.matchMedia('(pointer: coarse)').matches;
+
+  if (isLowEndDevice()) return 'low';
+  if (coarsePointer || cores() <= 4 || memory() <= 4) return 'medium';
+  return 'high';
+}
@@ -0,0 +1,16 @@
+let supported;
+
+/** Whether the browser can create a WebGL context at all. Checked once per page. */
+export function isWebGLAvailable() {
+  if (supported === undefined) {
+    try {
+      const canvas = document.createElement('canvas');
+      const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+      supported = Boolean(gl);
+      gl?.getExtension('WEBGL_lose_context')?.loseContext();
+    } catch {
+      supported = false;
+    }
+  }
+  return supported;
+}
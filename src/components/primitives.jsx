@@ -0,0 +1,32 @@
+import { useI18n } from '../i18n/i18n';
+
+export const MonoLabel = ({ children, className = "" }) => (
+  <span className={`font-mono text-[10px] sm:text-xs uppercase tracking-wider text-ink-muted ${className}`}>
+    {children}
+  </span>
+);
+
+/**
+ * Heading of a home section (as resolved by lib/sections), with its number and
+ * last-updated date if it has them.
+ */
+export const SectionHeader = ({ section }) => {
+  const { t, formatDate } = useI18n();
+  const { headingId, number, title, updated } = section;
+
+  return (
+    <div className="flex items-center gap-4 mb-12 border-b border-edge pb-4">
+      {number !== null && (
+        <span className="font-mono text-accent text-sm" aria-hidden="true">{String(number).padStart(2, '0')}</span>
+      )}
+      <h2 id={headingId} className="text-2xl font-semibold text-ink-strong tracking-tight">{t(title)}</h2>
+      <div className="flex-grow" />
+      {updated && (
+        <span className="hidden sm:inline font-mono text-[10px] text-ink-faint" title={`${updated.short} ${updated.subject}`}>
+          {t('section.updated', { date: formatDate(updated.date) })}
+        </span>
+      )}
+      <div className="h-1 w-1 bg-accent rounded-full animate-pulse" aria-hidden="true" />
+    </div>
+  );
+};
@@ -0,0 +1,41 @@
+import { Suspense } from 'react';
+import { ErrorBoundary } from '../components/ErrorBoundary';
+import { MonoLabel } from '../components/primitives';
+import { useHydrated } from '../hooks/useHydrated';
+import { useI18n } from '../i18n/i18n';
+import { DEMOS } from './registry';
+
+const DemoMessage = ({ children }) => (
+  <div className="min-h-[28rem] flex items-center justify-center border border-dashed border-edge">
+    <MonoLabel>{children}</MonoLabel>
+  </div>
+);
+
+/**
+ * The interactive demos for a project listed in ./registry, one under the
+ * other. The prerendered page carries a placeholder of the same height for
+ * each; the demos themselves are browser-only and load after hydration. A
+ * demo that fails to load (offline, missing chunk) or crashes leaves the
+ * write-up around it alone.
+ */
+export function ProjectDemo({ project, onLive }) {
+  const { t } = useI18n();
+  const hydrated = useHydrated();
+  const placeholder = <DemoMessage>{t('demo.loading')}</DemoMessage>;
+
+  return (
+    <div className="space-y-10 divide-y divide-edge [&>*+*]:pt-10">
+      {DEMOS[project.id].map((Demo, i) =>
+        hydrated ? (
+          <ErrorBoundary key={i} name="Project demo" fallback={<DemoMessage>{t('demo.failed')}</DemoMessage>}>
+            <Suspense fallback={placeholder}>
+              <Demo project={project} onLive={onLive} />
+            </Suspense>
+          </ErrorBoundary>
+        ) : (
+          <DemoMessage key={i}>{t('demo.loading')}</DemoMessage>
+        ),
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,321 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Volume2 } from 'lucide-react';
+import { MonoLabel } from '../../components/primitives';
+import { useI18n } from '../../i18n/i18n';
+import { Choice, PlayPause, Slider } from '../controls';
+import { useDemoLoop } from '../useDemoLoop';
+import { eventsBetween, lastEvent, positionAt, prepareLog } from './replay';
+import telemetry from './route.json';
+
+const SPEEDS = [1, 4, 10];
+// How long after an event the diagram and map still treat it as current.
+const CUE_HOLD_S = 3;
+const PADDING_M = 8;
+
+// Colours are theme tokens set through inline styles, as in ArchitectureDiagram.
+const FONT = 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+const token = (name) => `rgb(var(--${name}))`;
+const KIND_COLORS = {
+  obstacle: token('danger'),
+  turn: token('accent'),
+  crossing: token('secondary'),
+  route: token('ink-muted'),
+  arrival: token('status-active'),
+};
+
+const canSpeak = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+const speak = (text, lang) => {
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = lang;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(utterance);
+};
+
+const clock = (seconds) => {
+  const s = Math.floor(seconds);
+  return `${String(Math.floor(s / 60)).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
+};
+
+const coordinates = ({ lat, lon }, formatNumber) =>
+  [lat, lon].map((value) => formatNumber(value, { minimumFractionDigits: 5, maximumFractionDigits: 5 })).join(', ');
+
+const pointsAttr = (points, flip) => points.map(({ x, y }) => `${x.toFixed(1)},${flip(y).toFixed(1)}`).join(' ');
+
+// The walk on its bundled street map: blocks, streets, the whole route faint,
+// the part walked so far solid, every cue as a marker and the walker with a
+// heading tick. North is up; one unit is a metre.
+const RouteMap = ({ route, position, reached, current, label }) => {
+  const { minX, maxX, minY, maxY } = route.bounds;
+  const flip = (y) => maxY - y;
+  const heading = (position.heading * Math.PI) / 180;
+  const walked = [...route.fixes.slice(0, position.index + 1), position];
+
+  return (
+    <svg
+      viewBox={`${minX - PADDING_M} ${-PADDING_M} ${maxX - minX + 2 * PADDING_M} ${maxY - minY + 2 * PADDING_M}`}
+      role="img"
+      aria-label={label}
+      className="block w-full h-auto bg-surface border border-edge"
+    >
+      {route.buildings.map((outline, i) => (
+        <polygon key={i} points={pointsAttr(outline, flip)} style={{ fill: token('surface-raised'), stroke: token('edge') }} strokeWidth={0.5} />
+      ))}
+      {route.streets.map((street) => (
+        <g key={street.name}>
+          <polyline points={pointsAttr(street.points, flip)} fill="none" style={{ stroke: token('edge') }} strokeWidth={10} />
+          <text
+            x={street.points[0].x + (street.points[1].x - street.points[0].x) * 0.12}
+            y={flip(street.points[0].y + (street.points[1].y - street.points[0].y) * 0.12)}
+            dy={2}
+            fontFamily={FONT}
+            fontSize={5}
+            textAnchor="middle"
+            transform={
+              street.points[0].x === street.points[1].x
+                ? `rotate(-90 ${street.points[0].x} ${flip(street.points[0].y + (street.points[1].y - street.points[0].y) * 0.12)})`
+                : undefined
+            }
+            style={{ fill: token('ink-faint') }}
+          >
+            {street.name}
+          </text>
+        </g>
+      ))}
+      {route.places.map((place) => (
+        <g key={place.name}>
+          <rect x={place.x - 3} y={flip(place.y) - 3} width={6} height={6} style={{ fill: token('status-active') }} />
+          <text x={place.x + 5} y={flip(place.y) + 2} fontFamily={FONT} fontSize={6} style={{ fill: token('ink-soft') }}>
+            {place.name}
+          </text>
+        </g>
+      ))}
+
+      <polyline
+        points={pointsAttr(route.fixes, flip)}
+        fill="none"
+        style={{ stroke: token('ink-ghost') }}
+        strokeWidth={1}
+        strokeDasharray="3 3"
+      />
+      <polyline points={pointsAttr(walked, flip)} fill="none" style={{ stroke: token('accent') }} strokeWidth={2} strokeLinejoin="round" />
+
+      {route.events.map((event, i) => {
+        const past = i < reached;
+        return (
+          <circle
+            key={event.t}
+            cx={event.x}
+            cy={flip(event.y)}
+            r={event === current ? 6 : 3.5}
+            style={{ fill: past ? KIND_COLORS[event.kind] : token('surface'), stroke: KIND_COLORS[event.kind] }}
+            strokeWidth={1.2}
+            fillOpacity={event === current ? 0.35 : 1}
+          />
+        );
+      })}
+
+      <line
+        x1={position.x}
+        y1={flip(position.y)}
+        x2={position.x + 9 * Math.sin(heading)}
+        y2={flip(position.y + 9 * Math.cos(heading))}
+        style={{ stroke: token('accent-strong') }}
+        strokeWidth={1.5}
+      />
+      <circle cx={position.x} cy={flip(position.y)} r={4} style={{ fill: token('accent-strong'), stroke: token('surface') }} strokeWidth={1} />
+    </svg>
+  );
+};
+
+/**
+ * AssistOne demo: replays a bundled, synthetic telemetry log of a walk (GPS
+ * fixes, obstacle detections and the cues the device spoke) on an offline SVG
+ * map, with play/pause, scrubbing and playback speed. With voice on, each cue
+ * is spoken through the browser's SpeechSynthesis as the replay reaches it.
+ */
+export default function RouteReplay({ onLive }) {
+  const { t, formatNumber } = useI18n();
+  const route = useMemo(() => prepareLog(telemetry), []);
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(4);
+  const [voice, setVoice] = useState(false);
+  const rootRef = useRef(null);
+  const timeRef = useRef(0);
+  const speechSupported = canSpeak();
+
+  useEffect(() => {
+    if (!voice && speechSupported) window.speechSynthesis.cancel();
+  }, [voice, speechSupported]);
+
+  useDemoLoop(rootRef, playing, (dt) => {
+    const from = timeRef.current;
+    const to = Math.min(route.duration, from + dt * speed);
+    const reached = eventsBetween(route.events, from, to);
+    if (voice && reached.length) speak(reached[reached.length - 1].cue, telemetry.lang);
+    timeRef.current = to;
+    setTime(to);
+    if (to >= route.duration) setPlaying(false);
+  });
+
+  useEffect(
+    () => () => {
+      if (canSpeak()) window.speechSynthesis.cancel();
+    },
+    [],
+  );
+
+  const seek = (to) => {
+    timeRef.current = to;
+    setTime(to);
+    if (speechSupported) window.speechSynthesis.cancel();
+  };
+
+  const toggle = () => {
+    if (playing) {
+      setPlaying(false);
+      if (speechSupported) window.speechSynthesis.cancel();
+      return;
+    }
+    if (timeRef.current >= route.duration) seek(0);
+    // The first event sits at t = 0; speak it when starting from the top.
+    const first = route.events[0];
+    if (voice && timeRef.current === 0 && first?.t === 0) speak(first.cue, telemetry.lang);
+    setPlaying(true);
+  };
+
+  const position = positionAt(route.fixes, time);
+  // Nothing has been issued before the replay first moves.
+  const started = time > 0;
+  const latest = started ? lastEvent(route.events, time) : null;
+  const current = latest && time - latest.t <= CUE_HOLD_S ? latest : null;
+  const past = started ? route.events.filter((event) => event.t <= time) : [];
+
+  const fix = coordinates(position, formatNumber);
+
+  // The diagram shows the last fix the device reported rather than the
+  // interpolated position, so it only updates per fix or cue, not per frame.
+  const reported = route.fixes[position.index];
+  useEffect(() => {
+    const cue = current ? 1 : 0.15;
+    onLive({
+      running: playing,
+      flow: {
+        'camera->firmware': current?.kind === 'obstacle' ? 1 : 0.3,
+        'gps->firmware': 1,
+        'firmware->app': 1,
+        'firmware->cues': cue,
+        'cues->feedback': cue,
+      },
+      values: {
+        gps: coordinates(reported, formatNumber),
+        ...(current && { cues: current.label, feedback: current.haptic }),
+      },
+    });
+  }, [current, reported, playing, onLive, formatNumber]);
+
+  useEffect(() => () => onLive(null), [onLive]);
+
+  const metres = (value) => t('assistone.metres', { value: formatNumber(value, { maximumFractionDigits: 0 }) });
+
+  return (
+    <div ref={rootRef} className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <MonoLabel className="text-accent">{t('assistone.title')}</MonoLabel>
+        <div className="h-px bg-edge flex-grow" />
+        <PlayPause playing={playing} onToggle={toggle} playLabel={t('demo.play')} pauseLabel={t('demo.pause')} />
+      </div>
+      <p className="text-xs text-ink-muted max-w-2xl">{t('assistone.intro')}</p>
+
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-6">
+        <figure className="md:col-span-3 space-y-3">
+          <RouteMap route={route} position={position} reached={past.length} current={current} label={t('assistone.mapAlt')} />
+          <Slider
+            label={t('assistone.time')}
+            value={time}
+            onChange={seek}
+            min={0}
+            max={route.duration}
+            step={0.5}
+            format={(value) => `${clock(value)} / ${clock(route.duration)}`}
+          />
+          <figcaption className="font-mono text-[10px] text-ink-faint">{t('assistone.sampleNote')}</figcaption>
+        </figure>
+
+        <div className="md:col-span-2 space-y-4">
+          <div role="group" aria-label={t('assistone.speed')} className="flex flex-wrap gap-2">
+            {SPEEDS.map((value) => (
+              <Choice key={value} active={speed === value} onClick={() => setSpeed(value)}>
+                {value}×
+              </Choice>
+            ))}
+            {speechSupported && (
+              <Choice active={voice} onClick={() => setVoice((on) => !on)}>
+                {t(voice ? 'assistone.voiceOn' : 'assistone.voiceOff')}
+              </Choice>
+            )}
+          </div>
+          {!speechSupported && <p className="font-mono text-[10px] text-ink-faint">{t('assistone.noSpeech')}</p>}
+
+          <dl className="space-y-1 font-mono text-[10px]">
+            {[
+              [t('assistone.fix'), fix],
+              [t('assistone.heading'), `${position.heading}°`],
+              [t('assistone.walked'), metres(position.distance)],
+              [t('assistone.hdop'), formatNumber(position.hdop)],
+            ].map(([label, value]) => (
+              <div key={label} className="flex justify-between gap-3">
+                <dt className="text-ink-faint">{label}</dt>
+                <dd className="text-ink-bright">{value}</dd>
+              </div>
+            ))}
+          </dl>
+
+          <div>
+            <MonoLabel className="block mb-2">{t('assistone.cues')}</MonoLabel>
+            <ol className="space-y-2 max-h-72 overflow-auto" aria-live="polite">
+              {past.length === 0 && <li className="font-mono text-[10px] text-ink-faint">{t('assistone.noCues')}</li>}
+              {[...past].reverse().map((event) => (
+                <li
+                  key={event.t}
+                  className={`p-2 border text-xs ${event === current ? 'border-accent/50 bg-surface' : 'border-edge'}`}
+                >
+                  <div className="flex items-center gap-2 font-mono text-[10px]">
+                    <button type="button" onClick={() => seek(event.t)} className="text-ink-faint hover:text-accent-strong">
+                      {clock(event.t)}
+                    </button>
+                    <span style={{ color: KIND_COLORS[event.kind] }}>{t(`assistone.kind.${event.kind}`)}</span>
+                    <div className="flex-grow" />
+                    {speechSupported && (
+                      <button
+                        type="button"
+                        onClick={() => speak(event.cue, telemetry.lang)}
+                        aria-label={t('assistone.speak')}
+                        className="text-ink-faint hover:text-accent-strong"
+                      >
+                        <Volume2 size={12} aria-hidden="true" />
+                      </button>
+                    )}
+                  </div>
+                  <p className="mt-1 text-ink-bright">“{event.cue}”</p>
+                  <p className="mt-1 font-mono text-[10px] text-ink-faint">
+                    {event.detection &&
+                      t('assistone.detection', {
+                        object: event.detection.object,
+                        distance: formatNumber(event.detection.distance, { maximumFractionDigits: 1 }),
+                        bearing: event.detection.bearing,
+                        confidence: formatNumber(event.detection.confidence, { style: 'percent' }),
+                      })}
+                    {event.detection && ' · '}
+                    {t('assistone.haptic', { pattern: event.haptic })}
+                  </p>
+                </li>
+              ))}
+            </ol>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+// Telemetry replay for AssistOne: projects a walk in the device's log format
+// (GPS fixes, cue events and the map drawn under them, all in WGS84; the
+// bundled one is synthetic) onto a local metric plane and answers "where, and
+// what had been said, at time t".
+
+const EARTH_M_PER_DEG = 111320;
+
+/**
+ * Converts a telemetry log to metres east (`x`) and north (`y`) of its first
+ * fix, and adds each fix's cumulative distance walked. Returns
+ * `{ fixes, events, streets, buildings, places, bounds, duration }`.
+ */
+export function prepareLog(log) {
+  const [origin] = log.fixes;
+  const mPerLon = EARTH_M_PER_DEG * Math.cos((origin.lat * Math.PI) / 180);
+  const project = ({ lat, lon }) => ({ x: (lon - origin.lon) * mPerLon, y: (lat - origin.lat) * EARTH_M_PER_DEG });
+  const projectPair = ([lat, lon]) => project({ lat, lon });
+
+  let distance = 0;
+  let prev = null;
+  const fixes = log.fixes.map((fix) => {
+    const point = { ...fix, ...project(fix) };
+    if (prev) distance += Math.hypot(point.x - prev.x, point.y - prev.y);
+    point.distance = distance;
+    prev = point;
+    return point;
+  });
+
+  const streets = log.map.streets.map((street) => ({ ...street, points: street.points.map(projectPair) }));
+  const buildings = log.map.buildings.map((outline) => outline.map(projectPair));
+  const all = [...streets.flatMap((s) => s.points), ...buildings.flat(), ...fixes];
+  const bounds = {
+    minX: Math.min(...all.map((p) => p.x)),
+    maxX: Math.max(...all.map((p) => p.x)),
+    minY: Math.min(...all.map((p) => p.y)),
+    maxY: Math.max(...all.map((p) => p.y)),
+  };
+
+  return {
+    fixes,
+    events: log.events.map((event) => ({ ...event, ...project(event) })).sort((a, b) => a.t - b.t),
+    streets,
+    buildings,
+    places: (log.map.places ?? []).map((place) => ({ ...place, ...project(place) })),
+    bounds,
+    duration: fixes[fixes.length - 1].t,
+  };
+}
+
+// Index of the last fix at or before `t`.
+const fixIndex = (fixes, t) => {
+  let low = 0;
+  let high = fixes.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (fixes[mid].t <= t) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+/**
+ * Position at time `t`, interpolated between fixes: `{ x, y, lat, lon,
+ * heading, speed, hdop, distance, index }`, where `index` is the last fix
+ * already reached.
+ */
+export function positionAt(fixes, t) {
+  const index = fixIndex(fixes, t);
+  const a = fixes[index];
+  const b = fixes[Math.min(index + 1, fixes.length - 1)];
+  const f = b.t > a.t ? Math.min(1, Math.max(0, (t - a.t) / (b.t - a.t))) : 0;
+  const mix = (key) => a[key] + (b[key] - a[key]) * f;
+  return { ...a, x: mix('x'), y: mix('y'), lat: mix('lat'), lon: mix('lon'), distance: mix('distance'), index };
+}
+
+/** Events issued in the half-open interval (`from`, `to`]. */
+export const eventsBetween = (events, from, to) => events.filter((event) => event.t > from && event.t <= to);
+
+/** The most recent event at or before `t`, if any. */
+export const lastEvent = (events, t) => events.findLast((event) => event.t <= t) ?? null;
@@ -0,0 +1,268 @@
+import { useEffect, useRef, useState } from 'react';
+import { MonoLabel } from '../../components/primitives';
+import { useI18n } from '../../i18n/i18n';
+import { readToken, useTheme } from '../../theme/theme';
+import { Choice, PlayPause } from '../controls';
+import { useDemoLoop } from '../useDemoLoop';
+import { MAX_HZ, PASSBAND, createChain, playLoop } from './audio';
+import healthyUrl from './samples/healthy.wav?url';
+import asthmaUrl from './samples/asthma.wav?url';
+import copdUrl from './samples/copd.wav?url';
+
+const SAMPLES = { healthy: healthyUrl, asthma: asthmaUrl, copd: copdUrl };
+
+// Spectrogram columns added per frame, in CSS pixels.
+const SCROLL_PX = 2;
+
+const rgb = (token) => readToken(token).match(/\d+/g).map(Number);
+
+const fit = (canvas) => {
+  const dpr = window.devicePixelRatio || 1;
+  const width = Math.round(canvas.clientWidth * dpr);
+  const height = Math.round(canvas.clientHeight * dpr);
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  return { ctx: canvas.getContext('2d'), width, height, dpr };
+};
+
+// Shifts the spectrogram left and paints the newest spectrum on the right,
+// 0 Hz at the bottom, blending from background to accent by level.
+const drawSpectrogram = (canvas, analyser, spectrum, colors) => {
+  const { ctx, width, height, dpr } = fit(canvas);
+  const step = Math.max(1, Math.round(SCROLL_PX * dpr));
+  analyser.getByteFrequencyData(spectrum);
+  const binHz = analyser.context.sampleRate / analyser.fftSize;
+  ctx.drawImage(canvas, -step, 0);
+  const column = ctx.createImageData(step, height);
+  for (let y = 0; y < height; y += 1) {
+    const bin = Math.min(spectrum.length - 1, Math.round(((1 - y / height) * MAX_HZ) / binHz));
+    const level = (spectrum[bin] / 255) ** 1.5;
+    const color = colors.background.map((c, k) => c + (colors.accent[k] - c) * level);
+    for (let x = 0; x < step; x += 1) {
+      column.data.set(color, (y * step + x) * 4);
+      column.data[(y * step + x) * 4 + 3] = 255;
+    }
+  }
+  ctx.putImageData(column, width - step, 0);
+};
+
+const drawWaveform = (canvas, analyser, samples, colors) => {
+  const { ctx, width, height, dpr } = fit(canvas);
+  analyser.getFloatTimeDomainData(samples);
+  ctx.clearRect(0, 0, width, height);
+  ctx.strokeStyle = `rgb(${colors.line.join(', ')})`;
+  ctx.lineWidth = 1.5 * dpr;
+  ctx.beginPath();
+  samples.forEach((value, i) => {
+    const x = (i / (samples.length - 1)) * width;
+    const y = ((1 - value) / 2) * height;
+    if (i) ctx.lineTo(x, y);
+    else ctx.moveTo(x, y);
+  });
+  ctx.stroke();
+};
+
+/**
+ * BreatheSense auscultation player: loops a bundled lung-sound sample through
+ * the edge device's band-pass chain (switchable, to compare with the raw
+ * recording) and draws a scrolling spectrogram and the current waveform.
+ * Samples are fetched with the demo, so playback works offline once the page
+ * is open; audio only starts from the play button, and is suspended along with
+ * the drawing while the player is scrolled out of view.
+ */
+export default function AuscultationPlayer() {
+  const { t, formatNumber } = useI18n();
+  const { theme } = useTheme();
+  const [sampleId, setSampleId] = useState('asthma');
+  const [filtered, setFiltered] = useState(true);
+  const [playing, setPlaying] = useState(false);
+  const [ready, setReady] = useState(false);
+  const [error, setError] = useState(null);
+
+  const rootRef = useRef(null);
+  const spectrogramRef = useRef(null);
+  const waveformRef = useRef(null);
+  const filesRef = useRef({});
+  const decodedRef = useRef({});
+  const audioRef = useRef(null);
+  const sourceRef = useRef(null);
+  const filteredRef = useRef(filtered);
+  const scopeRef = useRef(null);
+  const colorsRef = useRef(null);
+  // Bumped by every play and pause, so a start still waiting on the audio
+  // context can tell that it has been paused or replaced.
+  const playRef = useRef(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(
+      Object.entries(SAMPLES).map(async ([id, url]) => {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        filesRef.current[id] = await response.arrayBuffer();
+      }),
+    )
+      .then(() => !cancelled && setReady(true))
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(
+    () => () => {
+      sourceRef.current?.stop();
+      audioRef.current?.context.close();
+    },
+    [],
+  );
+
+  useEffect(() => {
+    filteredRef.current = filtered;
+    audioRef.current?.chain.setFiltered(filtered);
+  }, [filtered]);
+
+  const stop = () => {
+    playRef.current += 1;
+    sourceRef.current?.stop();
+    sourceRef.current = null;
+    setPlaying(false);
+  };
+
+  // Called from a click: browsers only let audio start from a user gesture.
+  // Shows as playing at once, so pausing or choosing another recording while
+  // the sample decodes takes effect.
+  const start = async (id) => {
+    const token = ++playRef.current;
+    setPlaying(true);
+    try {
+      if (!audioRef.current) {
+        const context = new AudioContext();
+        audioRef.current = { context, chain: createChain(context, filteredRef.current) };
+      }
+      const { context, chain } = audioRef.current;
+      await context.resume();
+      // decodeAudioData detaches its input; keep the fetched copy for later.
+      decodedRef.current[id] ??= await context.decodeAudioData(filesRef.current[id].slice(0));
+      if (playRef.current !== token) return;
+      sourceRef.current?.stop();
+      sourceRef.current = playLoop(context, chain, decodedRef.current[id]);
+    } catch (err) {
+      if (playRef.current !== token) return;
+      setError(err.message);
+      setPlaying(false);
+    }
+  };
+
+  const choose = (id) => {
+    setSampleId(id);
+    if (playing) start(id);
+  };
+
+  useEffect(() => {
+    colorsRef.current = { background: rgb('surface'), accent: rgb('accent'), line: rgb('secondary') };
+  }, [theme]);
+
+  // What the drawing reads each frame, set up once per play.
+  useEffect(() => {
+    if (!playing) return;
+    const { analyser } = audioRef.current.chain;
+    scopeRef.current = {
+      analyser,
+      spectrum: new Uint8Array(analyser.frequencyBinCount),
+      samples: new Float32Array(analyser.fftSize),
+    };
+  }, [playing]);
+
+  const visible = useDemoLoop(rootRef, playing, () => {
+    if (!scopeRef.current) return;
+    const { analyser, spectrum, samples } = scopeRef.current;
+    drawSpectrogram(spectrogramRef.current, analyser, spectrum, colorsRef.current);
+    drawWaveform(waveformRef.current, analyser, samples, colorsRef.current);
+  });
+
+  useEffect(() => {
+    const context = audioRef.current?.context;
+    if (!playing || !context) return;
+    if (visible) context.resume();
+    else context.suspend();
+  }, [playing, visible]);
+
+  const hz = (value) =>
+    value >= 1000
+      ? t('auscultation.khz', { value: formatNumber(value / 1000, { maximumFractionDigits: 1 }) })
+      : t('auscultation.hz', { value: formatNumber(value) });
+
+  return (
+    <div ref={rootRef} className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <MonoLabel className="text-accent">{t('auscultation.title')}</MonoLabel>
+        <div className="h-px bg-edge flex-grow" />
+        {ready && (
+          <PlayPause
+            playing={playing}
+            onToggle={() => (playing ? stop() : start(sampleId))}
+            playLabel={t('demo.play')}
+            pauseLabel={t('demo.pause')}
+          />
+        )}
+      </div>
+      <p className="text-xs text-ink-muted max-w-2xl">{t('auscultation.intro')}</p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="space-y-4">
+          <div role="group" aria-label={t('auscultation.sample')} className="flex flex-wrap gap-2">
+            {Object.keys(SAMPLES).map((id) => (
+              <Choice key={id} active={sampleId === id} onClick={() => choose(id)}>
+                {t(`breathesense.case.${id}`)}
+              </Choice>
+            ))}
+          </div>
+          <div role="group" aria-label={t('auscultation.filter')} className="flex flex-wrap gap-2">
+            <Choice active={!filtered} onClick={() => setFiltered(false)}>
+              {t('auscultation.raw')}
+            </Choice>
+            <Choice active={filtered} onClick={() => setFiltered(true)}>
+              {t('auscultation.filtered')}
+            </Choice>
+          </div>
+          <p className="font-mono text-[10px] text-ink-faint">
+            {t('auscultation.chain', { low: hz(PASSBAND[0]), high: hz(PASSBAND[1]), notch: hz(50) })}
+          </p>
+          <p className="font-mono text-[10px] text-ink-faint">{t('auscultation.sampleNote')}</p>
+          {!ready && !error && <p className="font-mono text-[10px] text-ink-faint">{t('demo.loading')}</p>}
+          {error && (
+            <p role="alert" className="font-mono text-[10px] text-danger">
+              {t('auscultation.error', { message: error })}
+            </p>
+          )}
+        </div>
+
+        <div className="md:col-span-2 space-y-4">
+          <figure>
+            <figcaption className="mb-1 font-mono text-[10px] text-ink-faint">
+              {t('auscultation.spectrogram', { max: hz(MAX_HZ) })}
+            </figcaption>
+            <canvas
+              ref={spectrogramRef}
+              role="img"
+              aria-label={t('auscultation.spectrogramAlt')}
+              className="block w-full h-32 bg-surface border border-edge"
+            />
+          </figure>
+          <figure>
+            <figcaption className="mb-1 font-mono text-[10px] text-ink-faint">{t('auscultation.waveform')}</figcaption>
+            <canvas
+              ref={waveformRef}
+              role="img"
+              aria-label={t('auscultation.waveformAlt')}
+              className="block w-full h-16 bg-surface border border-edge"
+            />
+          </figure>
+        </div>
+      </div>
+    </div>
+  );
+}
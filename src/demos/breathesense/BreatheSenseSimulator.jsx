@@ -0,0 +1,257 @@
+import { useEffect, useRef, useState } from 'react';
+import { MonoLabel } from '../../components/primitives';
+import { useI18n } from '../../i18n/i18n';
+import { useMotion } from '../../motion/motion';
+import { readToken, useTheme } from '../../theme/theme';
+import { Bar, Choice, PlayPause, Slider } from '../controls';
+import { useDemoLoop } from '../useDemoLoop';
+import { AUDIO_RATE, CASES, GAS_RATE, analyse, advance, createSimulation, latest } from './simulation';
+
+// How often the models re-read their windows while running.
+const ANALYSE_MS = 250;
+const AUDIO_SHOWN_S = 2;
+
+const GAS_RANGE = [0, 1.6];
+const AUDIO_RANGE = [-1.6, 1.6];
+
+const prepare = (canvas) => {
+  const dpr = window.devicePixelRatio || 1;
+  const width = Math.round(canvas.clientWidth * dpr);
+  const height = Math.round(canvas.clientHeight * dpr);
+  if (canvas.width !== width) canvas.width = width;
+  if (canvas.height !== height) canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, width, height);
+  return { ctx, width, height, dpr };
+};
+
+const scaleY = (height, [low, high]) => (value) => height - ((value - low) / (high - low)) * height;
+
+// Gas reading over the last 8 s, with exhalations shaded.
+const drawGas = (canvas, sim, colors) => {
+  const { ctx, width, height, dpr } = prepare(canvas);
+  const gas = latest(sim.gas);
+  const exhaling = latest(sim.exhaling);
+  const x = (i) => (i / (gas.length - 1)) * width;
+  const y = scaleY(height, GAS_RANGE);
+
+  ctx.fillStyle = colors.shade;
+  ctx.globalAlpha = 0.08;
+  exhaling.forEach((on, i) => on && ctx.fillRect(x(i), 0, width / gas.length + 1, height));
+  ctx.globalAlpha = 1;
+
+  ctx.strokeStyle = colors.line;
+  ctx.lineWidth = 1.5 * dpr;
+  ctx.beginPath();
+  gas.forEach((value, i) => (i ? ctx.lineTo(x(i), y(value)) : ctx.moveTo(x(i), y(value))));
+  ctx.stroke();
+};
+
+// Stethoscope audio over the last 2 s, as a min/max envelope per pixel column.
+const drawAudio = (canvas, sim, colors) => {
+  const { ctx, width, height, dpr } = prepare(canvas);
+  const audio = latest(sim.audio, AUDIO_SHOWN_S * AUDIO_RATE);
+  const y = scaleY(height, AUDIO_RANGE);
+  const perColumn = audio.length / width;
+
+  ctx.strokeStyle = colors.grid;
+  ctx.lineWidth = dpr;
+  ctx.beginPath();
+  ctx.moveTo(0, y(0));
+  ctx.lineTo(width, y(0));
+  ctx.stroke();
+
+  ctx.strokeStyle = colors.audio;
+  ctx.beginPath();
+  for (let column = 0; column < width; column += 1) {
+    let low = Infinity;
+    let high = -Infinity;
+    for (let i = Math.floor(column * perColumn); i < Math.floor((column + 1) * perColumn); i += 1) {
+      low = Math.min(low, audio[i]);
+      high = Math.max(high, audio[i]);
+    }
+    if (low === Infinity) continue;
+    ctx.moveTo(column + 0.5, y(high));
+    ctx.lineTo(column + 0.5, y(low));
+  }
+  ctx.stroke();
+};
+
+const draw = (sim, gasCanvas, audioCanvas, colors) => {
+  drawGas(gasCanvas, sim, colors);
+  drawAudio(audioCanvas, sim, colors);
+};
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// How busy each input is right now, for the diagram's input edges.
+const inputLevels = (sim) => {
+  const gas = latest(sim.gas, GAS_RATE / 4);
+  const audio = latest(sim.audio, AUDIO_RATE / 4);
+  const rms = Math.sqrt(audio.reduce((sum, x) => sum + x * x, 0) / audio.length);
+  return { gas: clamp01((gas[gas.length - 1] - 0.1) / 0.8), audio: clamp01(rms * 4) };
+};
+
+const measure = (sim) => ({ ...analyse(sim), levels: inputLevels(sim) });
+
+const Readout = ({ label, estimate, emphasis }) => {
+  const { t, formatNumber } = useI18n();
+  const percent = (value) => formatNumber(value, { style: 'percent' });
+
+  return (
+    <div className={`p-3 border ${emphasis ? 'border-accent/40 bg-surface' : 'border-edge'}`}>
+      <MonoLabel className={emphasis ? 'text-accent-strong' : ''}>{label}</MonoLabel>
+      <dl className="mt-3 space-y-2 font-mono text-[10px] text-ink-muted">
+        <div>
+          <div className="flex justify-between">
+            <dt>{t('breathesense.probability')}</dt>
+            <dd className="text-ink-bright">{percent(estimate.p)}</dd>
+          </div>
+          <Bar value={estimate.p} className="bg-status-research" />
+        </div>
+        <div>
+          <div className="flex justify-between">
+            <dt>{t('breathesense.confidence')}</dt>
+            <dd className="text-ink-bright">{percent(estimate.c)}</dd>
+          </div>
+          <Bar value={estimate.c} />
+        </div>
+      </dl>
+    </div>
+  );
+};
+
+/**
+ * BreatheSense demo: synthetic breath-gas and lung-sound traces for a chosen
+ * case, sliders for sensor noise and humidity cross-sensitivity, and both
+ * models' estimates fused as in the deep dive's diagram, which it animates.
+ * Starts paused under reduced motion and stops while scrolled out of view.
+ */
+export default function BreatheSenseSimulator({ onLive }) {
+  const { t, formatNumber } = useI18n();
+  const { reduced } = useMotion();
+  const { theme } = useTheme();
+  const [caseId, setCaseId] = useState('asthma');
+  const [noise, setNoise] = useState(0.2);
+  const [cross, setCross] = useState(0.3);
+  const [playing, setPlaying] = useState(!reduced);
+  const [result, setResult] = useState(null);
+
+  const rootRef = useRef(null);
+  const gasRef = useRef(null);
+  const audioRef = useRef(null);
+  const simRef = useRef(null);
+  const settingsRef = useRef({ noise, cross });
+  const colorsRef = useRef(null);
+
+  useEffect(() => {
+    colorsRef.current = {
+      line: readToken('accent'),
+      shade: readToken('accent'),
+      audio: readToken('secondary'),
+      grid: readToken('edge'),
+    };
+    if (simRef.current) draw(simRef.current, gasRef.current, audioRef.current, colorsRef.current);
+  }, [theme]);
+
+  // A new case starts over; new settings re-run the window on screen, so they
+  // show at once, paused or not.
+  useEffect(() => {
+    settingsRef.current = { noise, cross };
+    const previous = simRef.current;
+    const until = previous?.spec === CASES[caseId] ? previous.t : undefined;
+    simRef.current = createSimulation(caseId, settingsRef.current, until);
+    draw(simRef.current, gasRef.current, audioRef.current, colorsRef.current);
+    setResult(measure(simRef.current));
+  }, [caseId, noise, cross]);
+
+  const sinceReadRef = useRef(0);
+  const visible = useDemoLoop(rootRef, playing, (dt) => {
+    advance(simRef.current, dt, settingsRef.current);
+    draw(simRef.current, gasRef.current, audioRef.current, colorsRef.current);
+    sinceReadRef.current += dt * 1000;
+    if (sinceReadRef.current >= ANALYSE_MS) {
+      sinceReadRef.current = 0;
+      setResult(measure(simRef.current));
+    }
+  });
+
+  useEffect(() => {
+    if (!result) return;
+    const fixed = (value) => formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const estimate = ({ p, c }) => t('breathesense.estimate', { p: fixed(p), c: fixed(c) });
+    onLive({
+      running: playing && visible,
+      flow: {
+        'sensors->edge': result.levels.gas,
+        'mic->edge': result.levels.audio,
+        'edge->model-a': 1,
+        'edge->model-b': 1,
+        'model-a->fusion': result.a.c,
+        'model-b->fusion': result.b.c,
+      },
+      values: { 'model-a': estimate(result.a), 'model-b': estimate(result.b), fusion: estimate(result.fusion) },
+    });
+  }, [result, playing, visible, onLive, t, formatNumber]);
+
+  useEffect(() => () => onLive(null), [onLive]);
+
+  const percent = (value) => formatNumber(value, { style: 'percent' });
+  const truth = t(CASES[caseId].disease ? 'breathesense.truth.disease' : 'breathesense.truth.clear');
+  const verdict = result && t(result.fusion.p >= 0.5 ? 'breathesense.verdict.disease' : 'breathesense.verdict.clear');
+
+  return (
+    <div ref={rootRef} className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <MonoLabel className="text-accent">{t('breathesense.title')}</MonoLabel>
+        <div className="h-px bg-edge flex-grow" />
+        <PlayPause
+          playing={playing}
+          onToggle={() => setPlaying((value) => !value)}
+          playLabel={t('demo.play')}
+          pauseLabel={t('demo.pause')}
+        />
+      </div>
+      <p className="text-xs text-ink-muted max-w-2xl">{t('breathesense.intro')}</p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="space-y-4">
+          <div role="group" aria-label={t('breathesense.case')} className="flex flex-wrap gap-2">
+            {Object.keys(CASES).map((id) => (
+              <Choice key={id} active={caseId === id} onClick={() => setCaseId(id)}>
+                {t(`breathesense.case.${id}`)}
+              </Choice>
+            ))}
+          </div>
+          <Slider label={t('breathesense.noise')} value={noise} onChange={setNoise} format={percent} />
+          <Slider label={t('breathesense.cross')} value={cross} onChange={setCross} format={percent} />
+          <p className="font-mono text-[10px] text-ink-faint">{t('breathesense.truth', { truth })}</p>
+        </div>
+
+        <div className="md:col-span-2 space-y-4">
+          <figure>
+            <figcaption className="mb-1 font-mono text-[10px] text-ink-faint">{t('breathesense.gas')}</figcaption>
+            <canvas ref={gasRef} role="img" aria-label={t('breathesense.gasAlt')} className="block w-full h-20 bg-surface border border-edge" />
+          </figure>
+          <figure>
+            <figcaption className="mb-1 font-mono text-[10px] text-ink-faint">{t('breathesense.audio')}</figcaption>
+            <canvas ref={audioRef} role="img" aria-label={t('breathesense.audioAlt')} className="block w-full h-20 bg-surface border border-edge" />
+          </figure>
+        </div>
+      </div>
+
+      {result && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <Readout label={t('breathesense.modelA')} estimate={result.a} />
+          <Readout label={t('breathesense.modelB')} estimate={result.b} />
+          <Readout label={t('breathesense.fusion')} estimate={result.fusion} emphasis />
+        </div>
+      )}
+      {verdict && (
+        <p className="font-mono text-xs text-ink-soft">
+          {verdict} · {t('breathesense.confidence')} {percent(result.fusion.c)}
+        </p>
+      )}
+    </div>
+  );
+}
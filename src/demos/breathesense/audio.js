@@ -0,0 +1,62 @@
+// Web Audio graph for the auscultation player: a looping sample, the edge
+// device's band-pass chain and an analyser for the spectrogram. The filter
+// chain runs all the time; switching between raw and filtered crossfades two
+// gains, so toggling mid-playback doesn't click.
+
+/**
+ * The edge filter stages, in order: a 4th-order high-pass at 100 Hz against
+ * heart sounds and handling rumble, a mains notch, and a 4th-order low-pass at
+ * 2 kHz against hiss. Lung sounds of interest (breath, wheezes, crackles)
+ * sit between.
+ */
+export const EDGE_FILTER = [
+  { type: 'highpass', frequency: 100, Q: Math.SQRT1_2 },
+  { type: 'highpass', frequency: 100, Q: Math.SQRT1_2 },
+  { type: 'notch', frequency: 50, Q: 8 },
+  { type: 'lowpass', frequency: 2000, Q: Math.SQRT1_2 },
+  { type: 'lowpass', frequency: 2000, Q: Math.SQRT1_2 },
+];
+
+export const PASSBAND = [100, 2000];
+
+// Highest frequency the spectrogram shows (the samples are recorded at 8 kHz).
+export const MAX_HZ = 4000;
+
+const FADE_S = 0.015;
+
+/**
+ * Builds the graph on `context`: connect sources to `input`, read `analyser`.
+ * `setFiltered(on)` switches the output between raw and filtered audio.
+ */
+export function createChain(context, filtered) {
+  const input = context.createGain();
+  const raw = context.createGain();
+  const wet = context.createGain();
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 2048;
+  analyser.smoothingTimeConstant = 0.2;
+
+  const stages = EDGE_FILTER.map(({ type, frequency, Q }) => new BiquadFilterNode(context, { type, frequency, Q }));
+  stages.reduce((from, stage) => from.connect(stage), input).connect(wet);
+  input.connect(raw);
+  raw.connect(analyser);
+  wet.connect(analyser);
+  analyser.connect(context.destination);
+
+  const setFiltered = (on) => {
+    raw.gain.setTargetAtTime(on ? 0 : 1, context.currentTime, FADE_S);
+    wet.gain.setTargetAtTime(on ? 1 : 0, context.currentTime, FADE_S);
+  };
+  raw.gain.value = filtered ? 0 : 1;
+  wet.gain.value = filtered ? 1 : 0;
+
+  return { input, analyser, setFiltered };
+}
+
+/** Starts `buffer` looping into `chain`; returns the source node to stop later. */
+export function playLoop(context, chain, buffer) {
+  const source = new AudioBufferSourceNode(context, { buffer, loop: true });
+  source.connect(chain.input);
+  source.start();
+  return source;
+}
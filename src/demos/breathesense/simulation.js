@@ -0,0 +1,229 @@
+// Synthetic BreatheSense signals and the two models that read them. Nothing
+// here is recorded data: breaths, gas readings and lung sounds are generated
+// from the seeded cases below, so every visitor sees the same traces for the
+// same settings. The models are deliberately simple stand-ins for the real
+// ones; what they show is how noise and cross-sensitivity move each model's
+// estimate and confidence, and how fusion weighs the two.
+
+export const GAS_RATE = 20; // gas sensor samples per second
+export const AUDIO_RATE = 2000; // stethoscope samples per second (enough for a 400 Hz wheeze)
+export const GAS_WINDOW_S = 8; // what the gas trace shows and Model A reads
+export const AUDIO_WINDOW_S = 4; // what Model B reads; the trace shows the last half
+
+const BREATH_S = 4;
+const INHALE = 0.4; // share of each breath spent inhaling
+const WHEEZE_HZ = 400;
+const CRACKLE_HZ = 250;
+const VOC_TAU_S = 0.4; // sensor response time to breath VOCs
+const HUMIDITY_TAU_S = 1.5; // slower rise of exhaled humidity on the same sensor
+
+/**
+ * Synthetic cases: `marker` is the VOC response to exhaled breath, `wheeze`
+ * the amplitude of an expiratory 400 Hz tone, `crackles` short clicks per
+ * inspiration. `disease` is the ground truth the models should find.
+ */
+export const CASES = {
+  healthy: { marker: 0.05, wheeze: 0, crackles: 0, disease: false, seed: 11 },
+  asthma: { marker: 0.35, wheeze: 0.35, crackles: 0, disease: true, seed: 23 },
+  copd: { marker: 0.55, wheeze: 0.08, crackles: 8, disease: true, seed: 37 },
+};
+
+// mulberry32: small, fast and good enough for synthetic noise.
+const random = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const gaussian = (next) => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next());
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const logistic = (x) => 1 / (1 + Math.exp(-x));
+
+/** Airflow at time `t` (s): positive while inhaling, negative while exhaling, peak 1. */
+export const airflow = (t) => {
+  const phase = (t % BREATH_S) / BREATH_S;
+  return phase < INHALE ? Math.sin((Math.PI * phase) / INHALE) : -Math.sin((Math.PI * (phase - INHALE)) / (1 - INHALE));
+};
+
+const ring = (size) => ({ data: new Float32Array(size), next: 0 });
+
+const push = (buffer, value) => {
+  buffer.data[buffer.next] = value;
+  buffer.next = (buffer.next + 1) % buffer.data.length;
+};
+
+/** The last `count` values of a ring buffer, oldest first. */
+export const latest = (buffer, count = buffer.data.length) => {
+  const { data, next } = buffer;
+  const out = new Float32Array(count);
+  for (let i = 0; i < count; i += 1) out[i] = data[(next - count + i + data.length) % data.length];
+  return out;
+};
+
+/**
+ * A simulation of one case, pre-run for a full window ending at `until`
+ * seconds so the traces start filled (a later `until` re-runs the window of an
+ * existing simulation, e.g. with new settings). Advance it with `advance`;
+ * `gas`, `exhaling` and `audio` are ring buffers of the recent samples.
+ */
+export function createSimulation(caseId, settings, until = GAS_WINDOW_S) {
+  const spec = CASES[caseId];
+  const sim = {
+    spec,
+    next: random(spec.seed),
+    t: 0,
+    gasClock: 0,
+    audioClock: 0,
+    voc: 0,
+    humidity: 0,
+    breathNoise: 0,
+    crackle: 0,
+    crackleAge: 0,
+    gas: ring(GAS_WINDOW_S * GAS_RATE),
+    exhaling: ring(GAS_WINDOW_S * GAS_RATE),
+    audio: ring(AUDIO_WINDOW_S * AUDIO_RATE),
+  };
+  // A window's lead-in lets the sensor's slow response settle before it shows.
+  const start = Math.max(0, until - 2 * GAS_WINDOW_S);
+  sim.t = start;
+  sim.gasClock = start;
+  sim.audioClock = start;
+  advance(sim, until - start, settings);
+  return sim;
+}
+
+/**
+ * Advances by `dt` seconds with `{ noise, cross }` (0–1): `noise` adds sensor
+ * and microphone noise, `cross` how strongly the gas sensor also responds to
+ * exhaled humidity.
+ */
+export function advance(sim, dt, { noise, cross }) {
+  const { spec, next } = sim;
+  const end = sim.t + dt;
+
+  while (sim.audioClock < end) {
+    const t = sim.audioClock;
+    const flow = airflow(t);
+    const exhale = Math.max(0, -flow);
+    // Breath sound: low-passed noise shaped by airflow.
+    sim.breathNoise += 0.15 * (gaussian(next) - sim.breathNoise);
+    let sample = 0.5 * Math.abs(flow) * sim.breathNoise;
+    sample += spec.wheeze * exhale * Math.sin(2 * Math.PI * WHEEZE_HZ * t + 0.6 * Math.sin(2 * Math.PI * 3 * t));
+    if (flow > 0.2 && next() < (spec.crackles / (BREATH_S * INHALE * AUDIO_RATE)) * 1.6) {
+      sim.crackle = 1.2 + 0.8 * next();
+      sim.crackleAge = 0;
+    }
+    if (sim.crackle > 0.01) {
+      sample += sim.crackle * Math.sin(2 * Math.PI * CRACKLE_HZ * (sim.crackleAge / AUDIO_RATE));
+      sim.crackle *= 0.93;
+      sim.crackleAge += 1;
+    }
+    sample += (0.02 + 0.25 * noise) * gaussian(next);
+    push(sim.audio, sample);
+    sim.audioClock += 1 / AUDIO_RATE;
+  }
+
+  while (sim.gasClock < end) {
+    const t = sim.gasClock;
+    const exhale = Math.max(0, -airflow(t));
+    sim.voc += (spec.marker * exhale - sim.voc) * (1 / GAS_RATE / VOC_TAU_S);
+    sim.humidity += (exhale - sim.humidity) * (1 / GAS_RATE / HUMIDITY_TAU_S);
+    const reading = 0.1 + sim.voc + 1.2 * cross * sim.humidity + (0.01 + 0.12 * noise) * gaussian(next);
+    push(sim.gas, reading);
+    push(sim.exhaling, exhale > 0 ? 1 : 0);
+    sim.gasClock += 1 / GAS_RATE;
+  }
+
+  sim.t = end;
+}
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / Math.max(1, values.length);
+const median = (values) => [...values].sort((a, b) => a - b)[values.length >> 1];
+
+/**
+ * Model A (breath chemistry): the rise of the gas reading while exhaling over
+ * the reading while inhaling. It has no humidity compensation, so
+ * cross-sensitivity reads as a VOC marker. Confidence falls with the reading's
+ * sample-to-sample noise.
+ */
+export function modelA(sim) {
+  const gas = latest(sim.gas);
+  const exhaling = latest(sim.exhaling);
+  const rise = mean(gas.filter((_, i) => exhaling[i])) - mean(gas.filter((_, i) => !exhaling[i]));
+  const diffs = gas.slice(1).map((v, i) => v - gas[i]);
+  const noise = Math.sqrt(mean(diffs.map((d) => d * d)) / 2);
+  return { p: logistic((rise - 0.12) / 0.03), c: clamp01(1 - noise / 0.16) };
+}
+
+// Share of a block's energy in the frequency bin nearest `hz` (Goertzel);
+// 1 for a pure tone, about 2/N for white noise.
+const tonality = (block, hz) => {
+  const coeff = 2 * Math.cos((2 * Math.PI * Math.round((hz * block.length) / AUDIO_RATE)) / block.length);
+  let s1 = 0;
+  let s2 = 0;
+  let energy = 0;
+  for (const x of block) {
+    const s0 = x + coeff * s1 - s2;
+    s2 = s1;
+    s1 = s0;
+    energy += x * x;
+  }
+  const power = s1 * s1 + s2 * s2 - coeff * s1 * s2;
+  return energy > 0 ? power / ((energy * block.length) / 2) : 0;
+};
+
+const BLOCK = 256;
+const CLICK_BLOCK = 32;
+
+/**
+ * Model B (lung sounds): the strongest 400 Hz tonality among short blocks
+ * (wheeze) and the number of clicks, 16 ms blocks six times louder than the
+ * blocks around them (crackles). Confidence follows the gap between the loudest and
+ * quietest blocks, which noise fills in.
+ */
+export function modelB(sim) {
+  const audio = latest(sim.audio);
+  const blocks = [];
+  for (let i = 0; i + BLOCK <= audio.length; i += BLOCK) blocks.push(audio.subarray(i, i + BLOCK));
+
+  const wheeze = Math.max(...blocks.map((block) => tonality(block, WHEEZE_HZ)));
+  const clicks = [];
+  for (let i = 0; i + CLICK_BLOCK <= audio.length; i += CLICK_BLOCK) {
+    clicks.push(mean(audio.subarray(i, i + CLICK_BLOCK).map((x) => x * x)));
+  }
+  const loudClick = (i) => clicks[i] > 6 * median(clicks.slice(Math.max(0, i - 8), i + 9));
+  const crackles = clicks.filter((_, i) => loudClick(i) && !(i > 0 && loudClick(i - 1))).length;
+
+  const energies = blocks.map((block) => mean(block.map((x) => x * x))).sort((a, b) => a - b);
+  const quiet = energies[Math.floor(energies.length * 0.1)];
+  const loud = energies[Math.floor(energies.length * 0.9)];
+  const snr = 10 * Math.log10(loud / Math.max(quiet, 1e-9));
+
+  const pWheeze = logistic((wheeze - 0.25) / 0.05);
+  const pCrackle = logistic((crackles - 2) / 0.5);
+  return { p: 1 - (1 - pWheeze) * (1 - pCrackle), c: clamp01((snr - 1) / 12) };
+}
+
+/**
+ * Confidence-weighted fusion: each model's probability counts in proportion
+ * to its confidence, and the fused confidence is their mean confidence scaled
+ * down by how much they disagree.
+ */
+export function fuse(a, b) {
+  const weight = a.c + b.c;
+  const p = weight > 0 ? (a.c * a.p + b.c * b.p) / weight : 0.5;
+  return { p, c: ((a.c + b.c) / 2) * (1 - Math.abs(a.p - b.p)) };
+}
+
+/** Both models and their fusion, for the current window. */
+export const analyse = (sim) => {
+  const a = modelA(sim);
+  const b = modelB(sim);
+  return { a, b, fusion: fuse(a, b) };
+};
@@ -0,0 +1,56 @@
+import { Pause, Play } from 'lucide-react';
+
+// Small controls shared by the project demos.
+
+/** One of a set of mutually exclusive options (a case, a sample). */
+export const Choice = ({ active, onClick, children }) => (
+  <button
+    type="button"
+    aria-pressed={active}
+    onClick={onClick}
+    className={`text-[10px] font-mono px-2 py-1 rounded border transition-colors ${
+      active
+        ? 'border-accent/50 text-accent-strong bg-accent-muted/20'
+        : 'border-edge text-ink-muted hover:border-edge-hover hover:text-ink'
+    }`}
+  >
+    {children}
+  </button>
+);
+
+/** Labelled range input; `format` renders the current value next to the label. */
+export const Slider = ({ label, value, onChange, min = 0, max = 1, step = 0.01, format = String }) => (
+  <label className="flex flex-col gap-1">
+    <span className="flex justify-between font-mono text-[10px] uppercase tracking-wider text-ink-muted">
+      {label}
+      <span className="text-accent-strong">{format(value)}</span>
+    </span>
+    <input
+      type="range"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="w-full accent-accent"
+    />
+  </label>
+);
+
+export const PlayPause = ({ playing, onToggle, playLabel, pauseLabel }) => (
+  <button
+    type="button"
+    onClick={onToggle}
+    className="flex items-center gap-1 px-2 py-1 border border-edge text-[10px] font-mono text-ink-soft hover:border-accent hover:text-accent-strong transition-colors"
+  >
+    {playing ? <Pause size={10} aria-hidden="true" /> : <Play size={10} aria-hidden="true" />}
+    {playing ? pauseLabel : playLabel}
+  </button>
+);
+
+/** A 0–1 value as a thin bar (decorative; show the number as text alongside). */
+export const Bar = ({ value, className = 'bg-accent' }) => (
+  <span className="block h-1 w-full bg-edge/60" aria-hidden="true">
+    <span className={`block h-full transition-[width] duration-300 ${className}`} style={{ width: `${value * 100}%` }} />
+  </span>
+);
@@ -0,0 +1,18 @@
+import { lazy } from 'react';
+
+/**
+ * Interactive demos shown under a project's deep dive, by project id, in page
+ * order. Each is loaded on demand, after hydration, and receives `project`
+ * and `onLive`, which drives the project's architecture diagram (see
+ * ArchitectureDiagram's `live`; pass null to let go of it). Only one demo per
+ * project should use `onLive`.
+ */
+export const DEMOS = {
+  breathesense: [
+    lazy(() => import('./breathesense/BreatheSenseSimulator')),
+    lazy(() => import('./breathesense/AuscultationPlayer')),
+  ],
+  talks: [lazy(() => import('./talks/TalksPlayground'))],
+  'brain-tumor-segmentation': [lazy(() => import('./segmentation/MriViewer'))],
+  assistone: [lazy(() => import('./assistone/RouteReplay'))],
+};
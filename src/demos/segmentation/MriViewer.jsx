@@ -0,0 +1,351 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { FolderOpen, RotateCcw } from 'lucide-react';
+import { MonoLabel } from '../../components/primitives';
+import { useI18n } from '../../i18n/i18n';
+import { readToken, useTheme } from '../../theme/theme';
+import { Choice, Slider } from '../controls';
+import { autoWindow, sliceScores, toMask, volumeScores } from './metrics';
+import { readNifti } from './nifti';
+import imageUrl from './sample/phantom-flair.nii.gz?url';
+import truthUrl from './sample/phantom-ground-truth.nii.gz?url';
+import predictionUrl from './sample/phantom-prediction.nii.gz?url';
+
+// The project page states this threshold; the strip marks it.
+const DICE_TARGET = 0.9;
+const PREDICTION_ALPHA = 0.45;
+const ROLES = ['image', 'truth', 'prediction'];
+
+const buttonClass =
+  'flex items-center gap-1 px-2 py-1 border border-edge text-[10px] font-mono text-ink-soft hover:border-accent hover:text-accent-strong transition-colors disabled:opacity-40 disabled:pointer-events-none';
+
+const fetchBuffer = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+  return response.arrayBuffer();
+};
+
+// Parsed volume plus binary masks, checked to share one grid.
+const load = async (buffers, source) => {
+  const [image, truth, prediction] = await Promise.all(buffers.map(readNifti));
+  if ([truth, prediction].some(({ dims }) => dims.some((d, axis) => d !== image.dims[axis]))) {
+    throw new Error(`Masks must match the volume's ${image.dims.join('×')} grid`);
+  }
+  return { image, truth: toMask(truth), prediction: toMask(prediction), source };
+};
+
+// Where a freshly opened volume starts: the slice with the most ground-truth
+// tumour, at the default window.
+const initialView = ({ image, truth, prediction }) => {
+  const scores = sliceScores(truth, prediction, image.dims);
+  return { slice: scores.reduce((best, s, z) => (s.truth > scores[best].truth ? z : best), 0), win: autoWindow(image) };
+};
+
+const rgb = (token) => readToken(token).match(/\d+/g).map(Number);
+
+// One axial slice, windowed to grey, with the prediction filled and the
+// ground truth outlined. Rows are flipped so anterior is up.
+const drawSlice = (canvas, volumes, z, { level, width }, show, colors) => {
+  const [nx, ny] = volumes.image.dims;
+  canvas.width = nx;
+  canvas.height = ny;
+  const ctx = canvas.getContext('2d');
+  const pixels = ctx.createImageData(nx, ny);
+  const { data } = volumes.image;
+  const { truth, prediction } = volumes;
+  const base = z * nx * ny;
+  const low = level - width / 2;
+  const inTruth = (x, y) => x >= 0 && y >= 0 && x < nx && y < ny && truth[base + y * nx + x] === 1;
+
+  for (let y = 0; y < ny; y += 1) {
+    for (let x = 0; x < nx; x += 1) {
+      const i = base + y * nx + x;
+      const grey = Math.min(255, Math.max(0, ((data[i] - low) / width) * 255));
+      let color = [grey, grey, grey];
+      if (show.prediction && prediction[i]) {
+        color = color.map((c, k) => c * (1 - PREDICTION_ALPHA) + colors.prediction[k] * PREDICTION_ALPHA);
+      }
+      const edge = !inTruth(x - 1, y) || !inTruth(x + 1, y) || !inTruth(x, y - 1) || !inTruth(x, y + 1);
+      if (show.truth && truth[i] && edge) color = colors.truth;
+      const o = ((ny - 1 - y) * nx + x) * 4;
+      pixels.data.set(color, o);
+      pixels.data[o + 3] = 255;
+    }
+  }
+  ctx.putImageData(pixels, 0, 0);
+};
+
+const Metric = ({ label, value, emphasis }) => (
+  <div className="flex justify-between gap-3">
+    <dt className="text-ink-faint">{label}</dt>
+    <dd className={emphasis ? 'text-accent-strong' : 'text-ink-bright'}>{value}</dd>
+  </div>
+);
+
+// Per-slice Dice as a row of bars, with the target marked; each bar selects its slice.
+const DiceStrip = ({ scores, slice, onSelect }) => {
+  const { t, formatNumber } = useI18n();
+
+  return (
+    <div className="relative h-12 flex items-end gap-px border-b border-edge">
+      <div
+        className="absolute inset-x-0 border-t border-dashed border-status-active-muted pointer-events-none"
+        style={{ bottom: `${DICE_TARGET * 100}%` }}
+        aria-hidden="true"
+      />
+      {scores.map(({ dice }, z) => (
+        <button
+          key={z}
+          type="button"
+          onClick={() => onSelect(z)}
+          aria-label={t('segmentation.sliceDice', {
+            n: z + 1,
+            dice: dice === null ? '—' : formatNumber(dice, { maximumFractionDigits: 2 }),
+          })}
+          aria-current={z === slice || undefined}
+          className="flex-1 min-w-0 h-full flex items-end"
+        >
+          <span
+            className={`block w-full ${z === slice ? 'bg-accent' : dice !== null && dice < DICE_TARGET ? 'bg-danger/60' : 'bg-edge-hover'}`}
+            style={{ height: dice === null ? '1px' : `${Math.max(dice * 100, 4)}%` }}
+          />
+        </button>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Brain Tumor Segmentation demo: an axial slice viewer for a NIfTI volume with
+ * ground-truth and predicted masks as toggleable overlays, window/level
+ * controls, and Dice, IoU and tumour area computed here for each slice and the
+ * whole volume. Ships with a synthetic phantom; visitors can open their own
+ * volume and masks, which never leave the page.
+ */
+export default function MriViewer({ onLive }) {
+  const { t, formatNumber } = useI18n();
+  const { theme } = useTheme();
+  const [volumes, setVolumes] = useState(null);
+  const [error, setError] = useState(null);
+  const [slice, setSlice] = useState(0);
+  const [win, setWin] = useState(null);
+  const [show, setShow] = useState({ truth: true, prediction: true });
+  const [files, setFiles] = useState({});
+  const canvasRef = useRef(null);
+
+  const scores = useMemo(
+    () => volumes && sliceScores(volumes.truth, volumes.prediction, volumes.image.dims),
+    [volumes],
+  );
+  const total = useMemo(() => volumes && volumeScores(volumes.truth, volumes.prediction), [volumes]);
+
+  // `readBuffers` runs inside the try, so unreadable files are reported too.
+  const open = async (readBuffers, source) => {
+    try {
+      const loaded = await load(await readBuffers(), source);
+      const view = initialView(loaded);
+      setVolumes(loaded);
+      setSlice(view.slice);
+      setWin(view.win);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([imageUrl, truthUrl, predictionUrl].map(fetchBuffer))
+      .then((buffers) => load(buffers, 'sample'))
+      .then((loaded) => {
+        if (cancelled) return;
+        const view = initialView(loaded);
+        setVolumes(loaded);
+        setSlice(view.slice);
+        setWin(view.win);
+      })
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!volumes || !win) return;
+    drawSlice(canvasRef.current, volumes, slice, win, show, { truth: rgb('secondary'), prediction: rgb('accent') });
+  }, [volumes, slice, win, show, theme]);
+
+  const fixed = (value) =>
+    value === null ? '—' : formatNumber(value, { minimumFractionDigits: 3, maximumFractionDigits: 3 });
+  const current = scores?.[slice];
+
+  useEffect(() => {
+    if (!current) return;
+    onLive({
+      running: false,
+      flow: { 'mri->preprocess': 1, 'preprocess->unet': 1, 'unet->mask': 1, 'unet->severity': 0.2 },
+      values: {
+        mri: t('segmentation.diagramSlice', { n: slice + 1, total: scores.length }),
+        mask: t('segmentation.diagramDice', {
+          dice: current.dice === null ? '—' : formatNumber(current.dice, { maximumFractionDigits: 2 }),
+        }),
+      },
+    });
+  }, [current, slice, scores, onLive, t, formatNumber]);
+
+  useEffect(() => () => onLive(null), [onLive]);
+
+  if (!volumes) {
+    return (
+      <p role={error ? 'alert' : undefined} className={`font-mono text-xs ${error ? 'text-danger' : 'text-ink-faint'}`}>
+        {error ? t('segmentation.error', { message: error }) : t('demo.loading')}
+      </p>
+    );
+  }
+
+  const { image } = volumes;
+  const [sx, sy, sz] = image.spacing;
+  const area = (voxels) => t('segmentation.mm2', { value: formatNumber(voxels * sx * sy, { maximumFractionDigits: 0 }) });
+  const volumeMl = (voxels) =>
+    t('segmentation.ml', { value: formatNumber((voxels * sx * sy * sz) / 1000, { maximumFractionDigits: 1 }) });
+  const tumourSlices = scores.filter(({ dice }) => dice !== null);
+  const passing = tumourSlices.filter(({ dice }) => dice >= DICE_TARGET).length;
+  const [low, high] = image.range;
+  // A constant volume has no intensity range; use unit steps, as autoWindow does.
+  const span = high - low || 1;
+  const windowStep = span / 500;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <MonoLabel className="text-accent">{t('segmentation.title')}</MonoLabel>
+        <div className="h-px bg-edge flex-grow" />
+      </div>
+      <p className="text-xs text-ink-muted max-w-2xl">{t('segmentation.intro')}</p>
+      <p className="font-mono text-[10px] text-ink-faint">
+        {volumes.source === 'sample' ? t('segmentation.sampleNote') : t('segmentation.ownNote')}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-6">
+        <figure className="md:col-span-3">
+          <canvas
+            ref={canvasRef}
+            role="img"
+            aria-label={t('segmentation.sliceAlt', { n: slice + 1, total: scores.length })}
+            className="block w-full bg-black border border-edge [image-rendering:pixelated]"
+            style={{ aspectRatio: `${image.dims[0] * sx} / ${image.dims[1] * sy}` }}
+          />
+          <figcaption className="mt-2 flex flex-wrap gap-4 font-mono text-[10px] text-ink-faint">
+            <span className="flex items-center gap-1">
+              <span className="inline-block w-3 h-3 border-2 border-secondary" aria-hidden="true" /> {t('segmentation.truth')}
+            </span>
+            <span className="flex items-center gap-1">
+              <span className="inline-block w-3 h-3 bg-accent/50" aria-hidden="true" /> {t('segmentation.prediction')}
+            </span>
+          </figcaption>
+        </figure>
+
+        <div className="md:col-span-2 space-y-4">
+          <Slider
+            label={t('segmentation.slice')}
+            value={slice}
+            onChange={setSlice}
+            min={0}
+            max={scores.length - 1}
+            step={1}
+            format={(z) => `${z + 1} / ${scores.length}`}
+          />
+          <DiceStrip scores={scores} slice={slice} onSelect={setSlice} />
+          <p className="font-mono text-[10px] text-ink-faint">
+            {t('segmentation.passing', {
+              target: formatNumber(DICE_TARGET, { minimumFractionDigits: 2 }),
+              passing,
+              total: tumourSlices.length,
+            })}
+          </p>
+
+          <Slider
+            label={t('segmentation.level')}
+            value={win.level}
+            onChange={(level) => setWin((w) => ({ ...w, level }))}
+            min={low}
+            max={low + span}
+            step={windowStep}
+            format={(value) => formatNumber(value, { maximumFractionDigits: 0 })}
+          />
+          <Slider
+            label={t('segmentation.width')}
+            value={win.width}
+            onChange={(width) => setWin((w) => ({ ...w, width }))}
+            min={windowStep}
+            max={span}
+            step={windowStep}
+            format={(value) => formatNumber(value, { maximumFractionDigits: 0 })}
+          />
+
+          <div role="group" aria-label={t('segmentation.overlays')} className="flex flex-wrap gap-2">
+            {['truth', 'prediction'].map((mask) => (
+              <Choice key={mask} active={show[mask]} onClick={() => setShow((s) => ({ ...s, [mask]: !s[mask] }))}>
+                {t(`segmentation.${mask}`)}
+              </Choice>
+            ))}
+            <button type="button" onClick={() => setWin(autoWindow(image))} className={buttonClass}>
+              <RotateCcw size={10} aria-hidden="true" /> {t('segmentation.autoWindow')}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="p-3 border border-accent/40 bg-surface">
+          <MonoLabel className="text-accent-strong">{t('segmentation.thisSlice', { n: slice + 1 })}</MonoLabel>
+          <dl className="mt-3 space-y-1 font-mono text-[10px]">
+            <Metric label={t('segmentation.dice')} value={fixed(current.dice)} emphasis />
+            <Metric label={t('segmentation.iou')} value={fixed(current.iou)} />
+            <Metric label={t('segmentation.areaTruth')} value={area(current.truth)} />
+            <Metric label={t('segmentation.areaPrediction')} value={area(current.prediction)} />
+          </dl>
+        </div>
+        <div className="p-3 border border-edge">
+          <MonoLabel>{t('segmentation.wholeVolume')}</MonoLabel>
+          <dl className="mt-3 space-y-1 font-mono text-[10px]">
+            <Metric label={t('segmentation.dice')} value={fixed(total.dice)} emphasis />
+            <Metric label={t('segmentation.iou')} value={fixed(total.iou)} />
+            <Metric label={t('segmentation.volumeTruth')} value={volumeMl(total.truth)} />
+            <Metric label={t('segmentation.volumePrediction')} value={volumeMl(total.prediction)} />
+          </dl>
+        </div>
+      </div>
+
+      <details className="font-mono text-[10px] text-ink-muted">
+        <summary className="cursor-pointer">{t('segmentation.openOwn')}</summary>
+        <form
+          className="mt-3 space-y-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            open(() => Promise.all(ROLES.map((role) => files[role].arrayBuffer())), 'files');
+          }}
+        >
+          {ROLES.map((role) => (
+            <label key={role} className="flex flex-wrap items-center gap-2">
+              <span className="w-28 text-ink-faint">{t(`segmentation.file.${role}`)}</span>
+              <input
+                type="file"
+                accept=".nii,.gz"
+                onChange={(e) => setFiles((f) => ({ ...f, [role]: e.target.files[0] }))}
+                className="text-ink-soft file:mr-2 file:border file:border-edge file:bg-transparent file:text-ink-soft file:font-mono file:text-[10px]"
+              />
+            </label>
+          ))}
+          <button type="submit" disabled={ROLES.some((role) => !files[role])} className={buttonClass}>
+            <FolderOpen size={10} aria-hidden="true" /> {t('segmentation.load')}
+          </button>
+        </form>
+      </details>
+      {error && (
+        <p role="alert" className="font-mono text-xs text-danger">
+          {t('segmentation.error', { message: error })}
+        </p>
+      )}
+    </div>
+  );
+}
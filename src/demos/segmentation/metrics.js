@@ -0,0 +1,52 @@
+// Overlap metrics between a ground-truth and a predicted mask, per axial
+// slice and over the whole volume, plus the default display window.
+
+/** A NIfTI volume as a binary mask (any label above zero counts as tumour). */
+export const toMask = (volume) => Uint8Array.from(volume.data, (value) => (value > 0.5 ? 1 : 0));
+
+const count = (truth, prediction, from, to) => {
+  let a = 0;
+  let b = 0;
+  let both = 0;
+  for (let i = from; i < to; i += 1) {
+    a += truth[i];
+    b += prediction[i];
+    both += truth[i] & prediction[i];
+  }
+  return { truth: a, prediction: b, both };
+};
+
+// Dice and IoU are undefined (null) where neither mask has any voxels.
+const scores = ({ truth, prediction, both }) => {
+  const union = truth + prediction - both;
+  return {
+    truth,
+    prediction,
+    dice: union ? (2 * both) / (truth + prediction) : null,
+    iou: union ? both / union : null,
+  };
+};
+
+/** Dice, IoU and voxel counts for every slice along the third axis. */
+export const sliceScores = (truth, prediction, dims) => {
+  const size = dims[0] * dims[1];
+  return Array.from({ length: dims[2] }, (_, z) => scores(count(truth, prediction, z * size, (z + 1) * size)));
+};
+
+/** Dice, IoU and voxel counts over the whole volume. */
+export const volumeScores = (truth, prediction) => scores(count(truth, prediction, 0, truth.length));
+
+/**
+ * Default window (`{ level, width }`) spanning the 1st to 99th percentile of
+ * the non-zero voxels, so background and a few hot voxels don't flatten it.
+ */
+export const autoWindow = ({ data, range }) => {
+  const sample = [];
+  const step = Math.max(1, Math.floor(data.length / 20000));
+  for (let i = 0; i < data.length; i += step) if (data[i] !== 0) sample.push(data[i]);
+  if (!sample.length) return { level: (range[0] + range[1]) / 2, width: range[1] - range[0] || 1 };
+  sample.sort((a, b) => a - b);
+  const low = sample[Math.floor(sample.length * 0.01)];
+  const high = sample[Math.floor(sample.length * 0.99)];
+  return { level: (low + high) / 2, width: high - low || 1 };
+};
@@ -0,0 +1,81 @@
+// A minimal NIfTI-1 reader for the segmentation viewer: single-file volumes
+// (.nii, or .nii.gz unpacked with the browser's DecompressionStream), either
+// byte order, the common scalar types and the header's intensity scaling.
+// Orientation matrices are ignored; slices are shown along the third axis.
+
+const HEADER_SIZE = 348;
+
+const TYPES = {
+  2: Uint8Array,
+  4: Int16Array,
+  8: Int32Array,
+  16: Float32Array,
+  64: Float64Array,
+  256: Int8Array,
+  512: Uint16Array,
+  768: Uint32Array,
+};
+
+const gunzip = async (buffer) => {
+  const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).arrayBuffer();
+};
+
+const isGzip = (buffer) => {
+  const bytes = new Uint8Array(buffer, 0, 2);
+  return bytes[0] === 0x1f && bytes[1] === 0x8b;
+};
+
+// Voxels in file order, swapping bytes first when the file is big-endian.
+const readVoxels = (buffer, offset, count, Type, littleEndian) => {
+  const size = Type.BYTES_PER_ELEMENT;
+  const bytes = new Uint8Array(buffer.slice(offset, offset + count * size));
+  if (!littleEndian && size > 1) {
+    for (let i = 0; i < bytes.length; i += size) bytes.subarray(i, i + size).reverse();
+  }
+  return new Type(bytes.buffer);
+};
+
+/**
+ * Parses a NIfTI-1 file into `{ dims: [x, y, z], spacing: [x, y, z] (mm),
+ * data: Float32Array, range: [min, max], description }`. Only the first volume
+ * of a 4D file is read. Throws on anything it cannot read.
+ */
+export async function readNifti(input) {
+  const buffer = isGzip(input) ? await gunzip(input) : input;
+  if (buffer.byteLength < HEADER_SIZE) throw new Error('Not a NIfTI-1 file');
+  const view = new DataView(buffer);
+  const littleEndian = view.getInt32(0, true) === HEADER_SIZE;
+  if (!littleEndian && view.getInt32(0, false) !== HEADER_SIZE) throw new Error('Not a NIfTI-1 file');
+  const magic = new TextDecoder().decode(new Uint8Array(buffer, 344, 3));
+  if (magic !== 'n+1') throw new Error('Only single-file NIfTI-1 (.nii, .nii.gz) is supported');
+
+  const int16 = (offset) => view.getInt16(offset, littleEndian);
+  const float32 = (offset) => view.getFloat32(offset, littleEndian);
+  const rank = int16(40);
+  const dims = [1, 2, 3].map((axis) => (axis <= rank ? int16(40 + 2 * axis) : 1));
+  const spacing = [1, 2, 3].map((axis) => Math.abs(float32(76 + 4 * axis)) || 1);
+  const Type = TYPES[int16(70)];
+  if (!Type) throw new Error(`Unsupported NIfTI data type ${int16(70)}`);
+
+  const count = dims[0] * dims[1] * dims[2];
+  const offset = Math.max(HEADER_SIZE, Math.round(float32(108)));
+  if (offset + count * Type.BYTES_PER_ELEMENT > buffer.byteLength) throw new Error('NIfTI file is truncated');
+  const voxels = readVoxels(buffer, offset, count, Type, littleEndian);
+
+  // scl_slope 0 means "no scaling".
+  const slope = float32(112) || 1;
+  const intercept = float32(116);
+  const data = new Float32Array(count);
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < count; i += 1) {
+    const value = voxels[i] * slope + intercept;
+    data[i] = value;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  const description = new TextDecoder().decode(new Uint8Array(buffer, 148, 80)).replace(/\0.*$/s, '').trim();
+  return { dims, spacing, data, range: [min, max], description };
+}
@@ -0,0 +1,282 @@
+import { useEffect, useRef, useState } from 'react';
+import { KeyRound, RotateCcw, Send, ShieldAlert } from 'lucide-react';
+import { MonoLabel } from '../../components/primitives';
+import { useI18n } from '../../i18n/i18n';
+import { isSupported } from './protocol';
+import { PARTIES, createPlayground, fingerprint, leak, send, view } from './playground';
+
+const buttonClass =
+  'flex items-center gap-1 px-2 py-1 border border-edge text-[10px] font-mono text-ink-soft hover:border-accent hover:text-accent-strong transition-colors disabled:opacity-40 disabled:pointer-events-none';
+
+const KeyLine = ({ label, value, className = 'text-ink-soft' }) => (
+  <div className="flex justify-between gap-3">
+    <dt className="text-ink-faint">{label}</dt>
+    <dd className={`truncate ${className}`}>{value}</dd>
+  </div>
+);
+
+const ATTACK_STYLES = {
+  exposed: 'border-danger/50 text-danger',
+  earlier: 'border-status-active-muted text-status-active',
+  healed: 'border-status-active-muted text-status-active',
+  sealed: 'border-edge text-ink-faint',
+};
+
+function Device({ party, device, busy, onSend, onLeak }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState('');
+  const { session, x3dh, log } = device;
+
+  const submit = (e) => {
+    e.preventDefault();
+    const text = draft.trim() || t(`talks.sample.${party}`, { n: log.filter((m) => m.direction === 'out').length + 1 });
+    setDraft('');
+    onSend(text);
+  };
+
+  return (
+    <section aria-label={t(`talks.${party}`)} className="border border-edge bg-surface p-4 flex flex-col gap-4 min-w-0">
+      <div className="flex items-center gap-2">
+        <MonoLabel className="text-accent-strong">{t(`talks.${party}`)}</MonoLabel>
+        <div className="flex-grow" />
+        <button type="button" onClick={onLeak} disabled={busy || !session} className={`${buttonClass} hover:border-danger hover:text-danger`}>
+          <ShieldAlert size={10} aria-hidden="true" /> {t('talks.leak')}
+        </button>
+      </div>
+
+      <dl className="space-y-1 font-mono text-[10px]">
+        <KeyLine label={t('talks.identityKey')} value={fingerprint(device.identityKey)} />
+        {session ? (
+          <>
+            <KeyLine label={t('talks.ratchetKey')} value={fingerprint(session.ratchetKey)} className="text-accent-strong" />
+            <KeyLine label={t('talks.rootKey')} value={fingerprint(session.rootKey)} />
+            <KeyLine
+              label={t('talks.sendingChain', { n: session.ns })}
+              value={session.sendingChain ? fingerprint(session.sendingChain) : '—'}
+            />
+            <KeyLine
+              label={t('talks.receivingChain', { n: session.nr })}
+              value={session.receivingChain ? fingerprint(session.receivingChain) : '—'}
+            />
+            <KeyLine label={t('talks.ratchetSteps')} value={session.ratchetSteps} />
+          </>
+        ) : (
+          <p className="text-ink-faint">{t(`talks.noSession.${party}`)}</p>
+        )}
+      </dl>
+
+      {x3dh && (
+        <details className="font-mono text-[10px] text-ink-muted">
+          <summary className="cursor-pointer">{t('talks.x3dh')}</summary>
+          <dl className="mt-2 space-y-1">
+            {x3dh.dhs.map((bytes, i) => (
+              <KeyLine key={i} label={`DH${i + 1}`} value={fingerprint(bytes)} />
+            ))}
+            <KeyLine label={t('talks.sharedSecret')} value={fingerprint(x3dh.sk)} className="text-accent-strong" />
+          </dl>
+        </details>
+      )}
+
+      <ol className="space-y-2 max-h-64 overflow-auto" aria-label={t('talks.messages')}>
+        {log.map((entry) => (
+          <li
+            key={`${entry.direction}-${entry.id}`}
+            className={`p-2 border text-xs ${entry.direction === 'out' ? 'ml-6 border-accent/30' : 'mr-6 border-edge'}`}
+          >
+            <p className="text-ink-bright break-words">{entry.text}</p>
+            <dl className="mt-1 space-y-0.5 font-mono text-[10px]">
+              <KeyLine label={t('talks.chainKey', { n: entry.n })} value={entry.chainKey ? fingerprint(entry.chainKey) : t('talks.skippedKey')} />
+              <KeyLine label={t('talks.messageKey')} value={fingerprint(entry.messageKey)} />
+            </dl>
+            {entry.stepped && <p className="mt-1 font-mono text-[10px] text-accent">{t('talks.dhStep')}</p>}
+          </li>
+        ))}
+      </ol>
+
+      <form onSubmit={submit} className="flex gap-2 mt-auto">
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder={device.canSend ? t('talks.placeholder') : t('talks.waiting')}
+          disabled={!device.canSend}
+          aria-label={t('talks.compose', { name: t(`talks.${party}`) })}
+          className="flex-grow min-w-0 bg-surface-raised border border-edge px-2 py-1 text-xs font-mono text-ink-bright outline-none focus:border-accent disabled:opacity-40"
+        />
+        <button type="submit" disabled={busy || !device.canSend} className={buttonClass}>
+          <Send size={10} aria-hidden="true" /> {t('talks.send')}
+        </button>
+      </form>
+    </section>
+  );
+}
+
+function Relay({ relay, leaks }) {
+  const { t } = useI18n();
+  const { bundle, messages } = relay;
+
+  return (
+    <section aria-label={t('talks.relay')} className="border border-dashed border-danger/40 p-4 flex flex-col gap-4 min-w-0">
+      <MonoLabel className="text-danger">{t('talks.relay')}</MonoLabel>
+
+      <div>
+        <MonoLabel className="block mb-1">{t('talks.bundle')}</MonoLabel>
+        <dl className="space-y-1 font-mono text-[10px]">
+          <KeyLine label={t('talks.identityKey')} value={fingerprint(bundle.identityKey)} />
+          <KeyLine label={t('talks.signedPrekey')} value={fingerprint(bundle.signedPrekey)} />
+          <KeyLine label={t('talks.signature')} value={fingerprint(bundle.signature)} />
+          <KeyLine label={t('talks.oneTimePrekeys')} value={bundle.oneTimePrekeys.length} />
+        </dl>
+      </div>
+
+      {leaks.length > 0 && (
+        <p className="font-mono text-[10px] text-danger flex items-start gap-1">
+          <KeyRound size={10} className="mt-0.5 shrink-0" aria-hidden="true" />
+          {t('talks.attackerHolds', { names: leaks.map(({ party }) => t(`talks.${party}`)).join(', ') })}
+        </p>
+      )}
+
+      <ol className="space-y-2 max-h-96 overflow-auto" aria-label={t('talks.relayLog')}>
+        {messages.map((message) => (
+          <li key={message.id} className="p-2 border border-edge font-mono text-[10px] text-ink-muted">
+            <p className="text-ink-soft">
+              {t(`talks.${message.from}`)} → {t(`talks.${message.to}`)}
+              {message.prekey && <span className="text-accent"> · {t('talks.prekeyMessage')}</span>}
+            </p>
+            <dl className="mt-1 space-y-0.5">
+              <KeyLine label={t('talks.headerKey')} value={fingerprint(message.header.dh)} />
+              <KeyLine label="PN · N" value={`${message.header.pn} · ${message.header.n}`} />
+              <KeyLine label={t('talks.ciphertext')} value={fingerprint(message.ciphertext, 32)} />
+            </dl>
+            {message.attack && (
+              <p className={`mt-1 px-1 border ${ATTACK_STYLES[message.attack.status]}`}>
+                {t(`talks.attack.${message.attack.status}`, { text: message.attack.text })}
+              </p>
+            )}
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+}
+
+const FLOWS = {
+  message: ['sender->ratchet', 'ratchet->relay', 'relay->recipient', 'recipient->store'],
+  handshake: ['prekeys->ratchet', 'sender->ratchet', 'ratchet->relay', 'relay->recipient', 'recipient->store'],
+  leak: [],
+};
+
+/**
+ * Talks demo: Alice and Bob set up an X3DH session through Bob's prekey bundle
+ * and exchange Double Ratchet messages via a relay that only ever holds public
+ * keys and ciphertext. Leaking a device's chain keys to the relay shows which
+ * messages that opens up and which stay protected. All crypto is WebCrypto in
+ * this page; nothing leaves it.
+ */
+export default function TalksPlayground({ onLive }) {
+  const { t } = useI18n();
+  const [state, setState] = useState(null);
+  const [busy, setBusy] = useState(true);
+  const [error, setError] = useState(null);
+  const pgRef = useRef(null);
+  const [supported, setSupported] = useState(true);
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action(pgRef.current);
+      setState(view(pgRef.current));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const reset = () => {
+    setError(null);
+    return run(async () => {
+      pgRef.current = await createPlayground();
+    });
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        if (!(await isSupported())) {
+          if (!cancelled) setSupported(false);
+          return;
+        }
+        const pg = await createPlayground();
+        if (cancelled) return;
+        pgRef.current = pg;
+        setState(view(pg));
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setBusy(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!state) return;
+    const { lastEvent, relay, devices } = state;
+    const active = lastEvent ? FLOWS[lastEvent.handshake ? 'handshake' : lastEvent.type] : [];
+    const steps = Math.max(...PARTIES.map((party) => devices[party].session?.ratchetSteps ?? 0));
+    onLive({
+      running: true,
+      flow: Object.fromEntries(Object.values(FLOWS).flat().map((edge) => [edge, active.includes(edge) ? 1 : 0.15])),
+      values: {
+        ratchet: t('talks.diagramSteps', { n: steps }),
+        relay: t('talks.diagramRelay', { n: relay.messages.length }),
+      },
+    });
+  }, [state, onLive, t]);
+
+  useEffect(() => () => onLive(null), [onLive]);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <MonoLabel className="text-accent">{t('talks.title')}</MonoLabel>
+        <div className="h-px bg-edge flex-grow" />
+        <button type="button" onClick={reset} disabled={busy || !supported} className={buttonClass}>
+          <RotateCcw size={10} aria-hidden="true" /> {t('talks.reset')}
+        </button>
+      </div>
+      <p className="text-xs text-ink-muted max-w-2xl">{t('talks.intro')}</p>
+
+      {!supported && <p className="font-mono text-xs text-danger">{t('talks.unsupported')}</p>}
+      {error && (
+        <p role="alert" className="font-mono text-xs text-danger">
+          {t('talks.error', { message: error })}
+        </p>
+      )}
+
+      {state && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <Device
+            party="alice"
+            device={state.devices.alice}
+            busy={busy}
+            onSend={(text) => run((pg) => send(pg, 'alice', text))}
+            onLeak={() => run((pg) => leak(pg, 'alice'))}
+          />
+          <Relay relay={state.relay} leaks={state.leaks} />
+          <Device
+            party="bob"
+            device={state.devices.bob}
+            busy={busy}
+            onSend={(text) => run((pg) => send(pg, 'bob', text))}
+            onLeak={() => run((pg) => leak(pg, 'bob'))}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
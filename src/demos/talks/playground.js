@@ -0,0 +1,181 @@
+import {
+  generateIdentity,
+  generatePrekeys,
+  initReceiver,
+  initSender,
+  kdfChain,
+  openMessage,
+  ratchetDecrypt,
+  ratchetEncrypt,
+  toHex,
+  x3dhInitiate,
+  x3dhRespond,
+} from './protocol';
+
+// Two simulated devices and the relay between them. Alice starts the session
+// from Bob's published prekey bundle; every message then goes through the
+// relay, which stores what a real server would see (public keys, headers,
+// ciphertext) and plays the attacker once it is handed leaked keys.
+
+export const PARTIES = ['alice', 'bob'];
+const PEER = { alice: 'bob', bob: 'alice' };
+
+/** Short hex fingerprint of a key or ciphertext (skipping a public key's 0x04 prefix). */
+export const fingerprint = (bytes, length = 16) =>
+  toHex(bytes.length === 65 && bytes[0] === 4 ? bytes.subarray(1) : bytes)
+    .slice(0, length)
+    .replace(/(.{4})(?=.)/g, '$1 ');
+
+const sameKey = (a, b) => a !== null && b !== null && toHex(a) === toHex(b);
+
+const newDevice = async (name) => ({ name, identity: await generateIdentity(), session: null, x3dh: null, log: [] });
+
+/** A fresh playground: both identities generated and Bob's bundle on the relay. */
+export async function createPlayground() {
+  const alice = await newDevice('alice');
+  const bob = await newDevice('bob');
+  bob.prekeys = await generatePrekeys(bob.identity);
+  return {
+    devices: { alice, bob },
+    relay: { bundle: bob.prekeys.bundle, messages: [] },
+    leaks: [],
+    nextId: 1,
+    lastEvent: null,
+  };
+}
+
+// Alice fetches Bob's bundle; the relay hands out (and forgets) one one-time prekey.
+const startSession = async (pg, device) => {
+  const { bundle } = pg.relay;
+  const fetched = { ...bundle, oneTimePrekeys: bundle.oneTimePrekeys.slice(0, 1) };
+  pg.relay.bundle = { ...bundle, oneTimePrekeys: bundle.oneTimePrekeys.slice(1) };
+  const x3dh = await x3dhInitiate(device.identity, fetched);
+  device.x3dh = { dhs: x3dh.dhs, sk: x3dh.sk, oneTimePrekeyId: x3dh.header.oneTimePrekeyId };
+  device.pendingPrekey = x3dh.header;
+  device.session = await initSender(x3dh.sk, x3dh.ad, fetched.signedPrekey);
+};
+
+const acceptSession = async (device, prekeyHeader) => {
+  const x3dh = await x3dhRespond(device.identity, device.prekeys, prekeyHeader);
+  device.x3dh = { dhs: x3dh.dhs, sk: x3dh.sk, oneTimePrekeyId: prekeyHeader.oneTimePrekeyId };
+  device.session = initReceiver(x3dh.sk, x3dh.ad, device.prekeys.signedPrekey);
+};
+
+/** Whether `party` can send yet: Bob has to wait for Alice's first message. */
+export const canSend = (pg, party) => party === 'alice' || pg.devices.bob.session !== null;
+
+/**
+ * What the relay's attacker learns from each leak: the chain keys it holds
+ * open every later message of the same chain ('exposed'), nothing earlier
+ * ('earlier': the chain KDF is one-way) and nothing after the next DH ratchet
+ * step ('healed'). Anything else is 'sealed'.
+ */
+const attack = async (pg, message, index) => {
+  for (const { chains } of pg.leaks) {
+    const chain = chains.find((c) => sameKey(c.ratchetKey, message.header.dh));
+    if (!chain) continue;
+    if (message.header.n < chain.n) return { status: 'earlier' };
+    let chainKey = chain.chainKey;
+    let messageKey;
+    for (let n = chain.n; n <= message.header.n; n += 1) [chainKey, messageKey] = await kdfChain(chainKey);
+    try {
+      return { status: 'exposed', text: await openMessage(messageKey, chain.ad, message.header, message.ciphertext) };
+    } catch {
+      return { status: 'sealed' };
+    }
+  }
+  const healed = pg.leaks.some(({ party, at }) => index >= at && (message.from === party || message.to === party));
+  return { status: healed ? 'healed' : 'sealed' };
+};
+
+const reattack = async (pg) => {
+  for (const [index, message] of pg.relay.messages.entries()) message.attack = await attack(pg, message, index);
+};
+
+/**
+ * Encrypts `text` on `from`, passes it through the relay and decrypts it on
+ * the other device. Alice's first message runs X3DH first.
+ */
+export async function send(pg, from, text) {
+  const device = pg.devices[from];
+  const peer = pg.devices[PEER[from]];
+  const handshake = device.session === null;
+  if (handshake) await startSession(pg, device);
+
+  const sent = await ratchetEncrypt(device.session, text);
+  const id = pg.nextId;
+  pg.nextId += 1;
+  const message = {
+    id,
+    from,
+    to: peer.name,
+    header: sent.header,
+    prekey: device.pendingPrekey ?? null,
+    ciphertext: sent.ciphertext,
+  };
+  pg.relay.messages.push(message);
+  device.log.push({ id, direction: 'out', text, n: sent.header.n, chainKey: sent.chainKey, messageKey: sent.messageKey });
+
+  if (message.prekey && peer.session === null) await acceptSession(peer, message.prekey);
+  const received = await ratchetDecrypt(peer.session, message.header, message.ciphertext);
+  // A reply proves the session; Alice stops attaching her X3DH header.
+  peer.pendingPrekey = null;
+  peer.log.push({
+    id,
+    direction: 'in',
+    text: received.plaintext,
+    n: message.header.n,
+    chainKey: received.chainKey,
+    messageKey: received.messageKey,
+    stepped: received.stepped,
+  });
+
+  await reattack(pg);
+  pg.lastEvent = { type: 'message', from, handshake };
+}
+
+/**
+ * Hands the relay `party`'s current chain keys (sending and receiving), as if
+ * the device had been compromised right now. Private keys stay on the device.
+ */
+export async function leak(pg, party) {
+  const { session } = pg.devices[party];
+  if (!session) return;
+  const chains = [
+    { ratchetKey: session.dhs.raw, chainKey: session.cks, n: session.ns, ad: session.ad },
+    { ratchetKey: session.dhr, chainKey: session.ckr, n: session.nr, ad: session.ad },
+  ].filter((chain) => chain.chainKey);
+  pg.leaks.push({ party, chains, at: pg.relay.messages.length });
+  await reattack(pg);
+  pg.lastEvent = { type: 'leak', from: party };
+}
+
+/** A copy of the parts the UI shows, so React sees every change. */
+export const view = (pg) => ({
+  devices: Object.fromEntries(
+    PARTIES.map((party) => {
+      const { identity, session, x3dh, log } = pg.devices[party];
+      return [
+        party,
+        {
+          identityKey: identity.dh.raw,
+          x3dh,
+          log: [...log],
+          session: session && {
+            ratchetKey: session.dhs.raw,
+            rootKey: session.rk,
+            sendingChain: session.cks,
+            ns: session.ns,
+            receivingChain: session.ckr,
+            nr: session.nr,
+            ratchetSteps: session.ratchetSteps,
+          },
+          canSend: canSend(pg, party),
+        },
+      ];
+    }),
+  ),
+  relay: { bundle: pg.relay.bundle, messages: pg.relay.messages.map((message) => ({ ...message })) },
+  leaks: [...pg.leaks],
+  lastEvent: pg.lastEvent,
+});
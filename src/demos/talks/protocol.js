@@ -0,0 +1,281 @@
+// X3DH key agreement and the Double Ratchet, on WebCrypto, after Signal's
+// specifications (signal.org/docs). Differences, to stay within what every
+// browser's WebCrypto offers: P-256 ECDH instead of X25519, a separate ECDSA
+// identity key for the prekey signature instead of XEdDSA, and AES-GCM with
+// HKDF-derived key and nonce instead of AES-CBC + HMAC.
+//
+// Private keys are generated non-extractable; chain and message keys are kept
+// as raw bytes so the playground can show them.
+
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+const ECDSA = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Messages a receiver will skip ahead in one chain (keys kept for late arrivals).
+const MAX_SKIP = 50;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const subtle = () => globalThis.crypto.subtle;
+
+/**
+ * Whether WebCrypto is there (it needs a secure context) and can generate the
+ * ECDH keys the protocol runs on; some engines lack curves or algorithms.
+ */
+export async function isSupported() {
+  if (!globalThis.crypto?.subtle) return false;
+  try {
+    await subtle().generateKey(ECDH, false, ['deriveBits']);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export const toHex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+const concat = (...parts) => {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+};
+
+const uint32 = (n) => new Uint8Array([n >>> 24, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff]);
+
+/** An ECDH key pair plus its public key as raw bytes (what goes on the wire). */
+export async function generateKeyPair() {
+  const pair = await subtle().generateKey(ECDH, false, ['deriveBits']);
+  return { ...pair, raw: new Uint8Array(await subtle().exportKey('raw', pair.publicKey)) };
+}
+
+const importPublic = (raw) => subtle().importKey('raw', raw, ECDH, true, []);
+
+const dh = async (pair, publicRaw) =>
+  new Uint8Array(
+    await subtle().deriveBits({ name: 'ECDH', public: await importPublic(publicRaw) }, pair.privateKey, 256),
+  );
+
+const hkdf = async (ikm, salt, info, length) => {
+  const key = await subtle().importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  const bits = await subtle().deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(info) }, key, length * 8);
+  return new Uint8Array(bits);
+};
+
+const hmac = async (key, data) => {
+  const hmacKey = await subtle().importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await subtle().sign('HMAC', hmacKey, data));
+};
+
+// --- X3DH ---
+
+/** A device's long-term identity: an ECDH key pair and an ECDSA signing pair. */
+export async function generateIdentity() {
+  const signing = await subtle().generateKey(ECDSA, false, ['sign', 'verify']);
+  return {
+    dh: await generateKeyPair(),
+    signing,
+    signingRaw: new Uint8Array(await subtle().exportKey('raw', signing.publicKey)),
+  };
+}
+
+/**
+ * Prekeys for a device to publish: a signed prekey and `count` one-time
+ * prekeys. `bundle` is what the relay stores; the private halves stay here.
+ */
+export async function generatePrekeys(identity, count = 3) {
+  const signedPrekey = await generateKeyPair();
+  const signature = new Uint8Array(await subtle().sign(SIGN, identity.signing.privateKey, signedPrekey.raw));
+  const oneTime = await Promise.all(Array.from({ length: count }, async (_, id) => ({ id, pair: await generateKeyPair() })));
+  return {
+    signedPrekey,
+    oneTime,
+    bundle: {
+      identityKey: identity.dh.raw,
+      signingKey: identity.signingRaw,
+      signedPrekey: signedPrekey.raw,
+      signature,
+      oneTimePrekeys: oneTime.map(({ id, pair }) => ({ id, raw: pair.raw })),
+    },
+  };
+}
+
+const X3DH_PAD = new Uint8Array(32).fill(0xff);
+const ZERO_SALT = new Uint8Array(32);
+
+const deriveShared = (dhs) => hkdf(concat(X3DH_PAD, ...dhs), ZERO_SALT, 'Talks X3DH', 32);
+
+/**
+ * The initiator's half of X3DH against a fetched bundle (with at most one
+ * one-time prekey, which the relay hands out once). Throws if the signed
+ * prekey's signature does not verify. Returns the shared secret `sk`, the
+ * associated data `ad` both sides bind every message to, the DH outputs (for
+ * display) and the `header` the first message carries.
+ */
+export async function x3dhInitiate(identity, bundle) {
+  const signingKey = await subtle().importKey('raw', bundle.signingKey, ECDSA, true, ['verify']);
+  if (!(await subtle().verify(SIGN, signingKey, bundle.signature, bundle.signedPrekey))) {
+    throw new Error('Signed prekey signature does not verify');
+  }
+  const ephemeral = await generateKeyPair();
+  const [oneTime] = bundle.oneTimePrekeys;
+  const dhs = [
+    await dh(identity.dh, bundle.signedPrekey),
+    await dh(ephemeral, bundle.identityKey),
+    await dh(ephemeral, bundle.signedPrekey),
+    ...(oneTime ? [await dh(ephemeral, oneTime.raw)] : []),
+  ];
+  return {
+    sk: await deriveShared(dhs),
+    ad: concat(identity.dh.raw, bundle.identityKey),
+    dhs,
+    header: { identityKey: identity.dh.raw, ephemeralKey: ephemeral.raw, oneTimePrekeyId: oneTime?.id ?? null },
+  };
+}
+
+/**
+ * The responder's half of X3DH for an initial message's `header`. Uses up
+ * the one-time prekey it names (removing it from `prekeys.oneTime`).
+ */
+export async function x3dhRespond(identity, prekeys, header) {
+  const index = prekeys.oneTime.findIndex(({ id }) => id === header.oneTimePrekeyId);
+  const oneTime = index >= 0 ? prekeys.oneTime.splice(index, 1)[0].pair : null;
+  if (header.oneTimePrekeyId !== null && !oneTime) throw new Error('One-time prekey already used');
+  const dhs = [
+    await dh(prekeys.signedPrekey, header.identityKey),
+    await dh(identity.dh, header.ephemeralKey),
+    await dh(prekeys.signedPrekey, header.ephemeralKey),
+    ...(oneTime ? [await dh(oneTime, header.ephemeralKey)] : []),
+  ];
+  return { sk: await deriveShared(dhs), ad: concat(header.identityKey, identity.dh.raw), dhs };
+}
+
+// --- Double Ratchet ---
+
+const kdfRoot = async (rootKey, dhOut) => {
+  const out = await hkdf(dhOut, rootKey, 'Talks ratchet', 64);
+  return [out.slice(0, 32), out.slice(32)];
+};
+
+/** One step of a chain: the next chain key and this step's message key. */
+export const kdfChain = async (chainKey) => [
+  await hmac(chainKey, new Uint8Array([2])),
+  await hmac(chainKey, new Uint8Array([1])),
+];
+
+const encodeHeader = ({ dh: ratchetKey, pn, n }) => concat(ratchetKey, uint32(pn), uint32(n));
+
+const messageCipher = async (messageKey) => {
+  const out = await hkdf(messageKey, ZERO_SALT, 'Talks message', 44);
+  const key = await subtle().importKey('raw', out.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  return { key, iv: out.slice(32) };
+};
+
+/** Decrypts one message with its message key; throws if it does not authenticate. */
+export async function openMessage(messageKey, ad, header, ciphertext) {
+  const { key, iv } = await messageCipher(messageKey);
+  const plain = await subtle().decrypt({ name: 'AES-GCM', iv, additionalData: concat(ad, encodeHeader(header)) }, key, ciphertext);
+  return decoder.decode(plain);
+}
+
+/** Session state of the initiator, who already knows the responder's signed prekey. */
+export async function initSender(sk, ad, theirSignedPrekey) {
+  const dhs = await generateKeyPair();
+  const [rk, cks] = await kdfRoot(sk, await dh(dhs, theirSignedPrekey));
+  return { ad, dhs, dhr: theirSignedPrekey, rk, cks, ckr: null, ns: 0, nr: 0, pn: 0, ratchetSteps: 1, skipped: new Map() };
+}
+
+/** Session state of the responder, whose signed prekey is the first ratchet key. */
+export const initReceiver = (sk, ad, signedPrekey) => ({
+  ad,
+  dhs: signedPrekey,
+  dhr: null,
+  rk: sk,
+  cks: null,
+  ckr: null,
+  ns: 0,
+  nr: 0,
+  pn: 0,
+  ratchetSteps: 0,
+  skipped: new Map(),
+});
+
+/**
+ * Encrypts `plaintext`, advancing the sending chain. Returns the header and
+ * ciphertext for the wire plus the chain and message keys used (for display).
+ */
+export async function ratchetEncrypt(state, plaintext) {
+  const chainKey = state.cks;
+  const [next, messageKey] = await kdfChain(chainKey);
+  const header = { dh: state.dhs.raw, pn: state.pn, n: state.ns };
+  const { key, iv } = await messageCipher(messageKey);
+  const ciphertext = new Uint8Array(
+    await subtle().encrypt(
+      { name: 'AES-GCM', iv, additionalData: concat(state.ad, encodeHeader(header)) },
+      key,
+      encoder.encode(plaintext),
+    ),
+  );
+  state.cks = next;
+  state.ns += 1;
+  return { header, ciphertext, chainKey, messageKey };
+}
+
+const skippedId = (ratchetKey, n) => `${toHex(ratchetKey)}:${n}`;
+
+const skipMessageKeys = async (state, until) => {
+  if (state.nr + MAX_SKIP < until) throw new Error('Too many skipped messages');
+  while (state.ckr && state.nr < until) {
+    const [next, messageKey] = await kdfChain(state.ckr);
+    state.skipped.set(skippedId(state.dhr, state.nr), messageKey);
+    state.ckr = next;
+    state.nr += 1;
+  }
+};
+
+const dhRatchet = async (state, header) => {
+  state.pn = state.ns;
+  state.ns = 0;
+  state.nr = 0;
+  state.dhr = header.dh;
+  [state.rk, state.ckr] = await kdfRoot(state.rk, await dh(state.dhs, state.dhr));
+  state.dhs = await generateKeyPair();
+  [state.rk, state.cks] = await kdfRoot(state.rk, await dh(state.dhs, state.dhr));
+  state.ratchetSteps += 1;
+};
+
+const sameKey = (a, b) => a !== null && b !== null && toHex(a) === toHex(b);
+
+/**
+ * Decrypts a received message, taking a DH ratchet step when it carries a new
+ * ratchet key. Returns the plaintext and the message key used, plus whether a
+ * DH step happened. Fails (leaving the state as it was) if it does not
+ * authenticate.
+ */
+export async function ratchetDecrypt(state, header, ciphertext) {
+  const id = skippedId(header.dh, header.n);
+  if (state.skipped.has(id)) {
+    const messageKey = state.skipped.get(id);
+    const plaintext = await openMessage(messageKey, state.ad, header, ciphertext);
+    state.skipped.delete(id);
+    return { plaintext, messageKey, chainKey: null, stepped: false };
+  }
+
+  const trial = { ...state, skipped: new Map(state.skipped) };
+  const stepped = !sameKey(header.dh, trial.dhr);
+  if (stepped) {
+    await skipMessageKeys(trial, header.pn);
+    await dhRatchet(trial, header);
+  }
+  await skipMessageKeys(trial, header.n);
+  const chainKey = trial.ckr;
+  const [next, messageKey] = await kdfChain(chainKey);
+  const plaintext = await openMessage(messageKey, trial.ad, header, ciphertext);
+  trial.ckr = next;
+  trial.nr += 1;
+  Object.assign(state, trial);
+  return { plaintext, messageKey, chainKey, stepped };
+}
@@ -0,0 +1,47 @@
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { LOW_POWER_FPS, useMotion } from '../motion/motion';
+
+// Longest step handed to `tick` after a dropped frame or a background tab.
+const MAX_STEP_S = 0.25;
+
+/**
+ * The animation loop every demo runs on: calls `tick(dt)`, `dt` being the
+ * seconds since the last call, once a frame while `running` and while the
+ * element in `ref` is on screen. In low-power mode it ticks at most
+ * LOW_POWER_FPS times a second. Returns whether the element is on screen, for
+ * demos that have more than frames to pause (audio).
+ */
+export function useDemoLoop(ref, running, tick) {
+  const { lowPower } = useMotion();
+  const [visible, setVisible] = useState(true);
+  const tickRef = useRef(tick);
+
+  useLayoutEffect(() => {
+    tickRef.current = tick;
+  });
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(([entry]) => setVisible(entry.isIntersecting));
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [ref]);
+
+  useEffect(() => {
+    if (!running || !visible) return;
+    // Slightly under the frame budget, so a 60 Hz display lands on every second frame.
+    const minStepMs = lowPower ? 900 / LOW_POWER_FPS : 0;
+    let frame;
+    let last = performance.now();
+    const loop = (now) => {
+      frame = requestAnimationFrame(loop);
+      if (now - last < minStepMs) return;
+      const dt = Math.min(MAX_STEP_S, (now - last) / 1000);
+      last = now;
+      tickRef.current(dt);
+    };
+    frame = requestAnimationFrame(loop);
+    return () => cancelAnimationFrame(frame);
+  }, [running, visible, lowPower]);
+
+  return visible;
+}
@@ -0,0 +1,115 @@
+import { useEffect } from 'react';
+import { MonoLabel } from '../components/primitives';
+import { useI18n } from '../i18n/i18n';
+import { formatBytes, formatMetric, rate, startPolling, useReadiness, useVitals } from './vitals';
+
+const RATING_CLASSES = {
+  good: 'text-status-active',
+  'needs-improvement': 'text-status-learning',
+  poor: 'text-status-prototype',
+};
+
+const Row = ({ label, children }) => (
+  <div className="flex justify-between gap-4 border-b border-edge/50 pb-1">
+    <dt className="text-ink-muted">{label}</dt>
+    <dd className="text-right text-ink-soft">{children}</dd>
+  </div>
+);
+
+/**
+ * Everything the page can measure about itself, read locally (see ./vitals.js):
+ * Web Vitals, JS heap, the hero's frame time, the bundle chunks this page
+ * loaded and the readiness checks behind SYS_READY.
+ */
+export function DiagnosticsPanel({ id }) {
+  const { t, formatNumber } = useI18n();
+  const vitals = useVitals();
+  const readiness = useReadiness();
+
+  useEffect(() => startPolling(), []);
+
+  const metric = (name) => {
+    const value = vitals[name];
+    if (value === null) return <span className="text-ink-faint">{t('diag.waiting')}</span>;
+    const rating = rate(name, value);
+    return (
+      <span className={RATING_CLASSES[rating]}>
+        {formatMetric(name, value, formatNumber)} · {t(`diag.rating.${rating}`)}
+      </span>
+    );
+  };
+
+  return (
+    <div id={id} className="mt-4 border border-edge bg-surface-raised/30 p-4 text-[10px] font-mono text-ink-soft">
+      <div className="flex flex-wrap justify-between gap-2 mb-4">
+        <MonoLabel className="text-accent">{t('diag.title')}</MonoLabel>
+        <span className="text-ink-faint">{t('diag.privacy')}</span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        <dl className="space-y-2">
+          {['lcp', 'cls', 'inp', 'ttfb'].map((name) => (
+            <Row key={name} label={`${t(`diag.${name}`)} (${name.toUpperCase()})`}>
+              {metric(name)}
+            </Row>
+          ))}
+          <Row label={t('diag.heap')}>
+            {vitals.heap
+              ? t('diag.heapValue', {
+                  used: formatBytes(vitals.heap.used, formatNumber),
+                  limit: formatBytes(vitals.heap.limit, formatNumber),
+                })
+              : t('diag.unsupported')}
+          </Row>
+          <Row label={t('diag.frame')}>
+            {vitals.frame
+              ? t('diag.frameValue', {
+                  ms: formatMetric('frame', vitals.frame.ms, formatNumber),
+                  fps: formatNumber(vitals.frame.fps, { maximumFractionDigits: 0 }),
+                })
+              : t(`diag.state.${readiness.scene === 'ready' ? 'pending' : readiness.scene}`)}
+          </Row>
+        </dl>
+
+        <div className="space-y-4">
+          <div>
+            <MonoLabel>{t('diag.readiness')}</MonoLabel>
+            <dl className="mt-2 space-y-2">
+              <Row label={t('diag.assets')}>{t(`diag.state.${readiness.assets ? 'ready' : 'pending'}`)}</Row>
+              <Row label={t('diag.fonts')}>{t(`diag.state.${readiness.fonts ? 'ready' : 'pending'}`)}</Row>
+              <Row label={t('diag.scene')}>{t(`diag.state.${readiness.scene}`)}</Row>
+            </dl>
+          </div>
+
+          <div>
+            <MonoLabel>{t('diag.chunks')}</MonoLabel>
+            {vitals.chunks.length ? (
+              <table className="mt-2 w-full">
+                <thead className="text-ink-muted">
+                  <tr>
+                    <th className="text-left font-normal">{t('diag.chunkFile')}</th>
+                    <th className="text-right font-normal">{t('diag.chunkTransfer')}</th>
+                    <th className="text-right font-normal">{t('diag.chunkSize')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {vitals.chunks.map((chunk) => (
+                    <tr key={chunk.name}>
+                      <td className="break-all pr-2">{chunk.name}</td>
+                      <td className="text-right">
+                        {chunk.transfer ? formatBytes(chunk.transfer, formatNumber) : t('diag.cached')}
+                      </td>
+                      <td className="text-right">{formatBytes(chunk.decoded, formatNumber)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="mt-2 text-ink-faint">{t('diag.noChunks')}</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
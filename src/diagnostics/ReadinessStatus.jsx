@@ -0,0 +1,24 @@
+import { isReady, useReadiness } from './vitals';
+import { useI18n } from '../i18n/i18n';
+
+/**
+ * The nav's SYS_READY label: shown once the page's assets and fonts have
+ * loaded and the hero's WebGL scene (if any) is up or has fallen back to SVG.
+ */
+export const ReadinessStatus = () => {
+  const readiness = useReadiness();
+  const { t } = useI18n();
+  const ready = isReady(readiness);
+  const state = (done) => t(`diag.state.${done ? 'ready' : 'pending'}`);
+  const title = t('nav.readiness', {
+    assets: state(readiness.assets),
+    fonts: state(readiness.fonts),
+    scene: t(`diag.state.${readiness.scene}`),
+  });
+
+  return (
+    <span role="status" title={title} className={`hidden sm:inline ${ready ? 'text-accent/80' : 'text-ink-faint animate-pulse'}`}>
+      {t(ready ? 'nav.ready' : 'nav.booting')}
+    </span>
+  );
+};
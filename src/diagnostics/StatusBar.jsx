@@ -0,0 +1,65 @@
+import { useEffect, useState } from 'react';
+import { Activity, GitCommit } from 'lucide-react';
+import buildInfo from 'virtual:build-info';
+import { useI18n } from '../i18n/i18n';
+import { DiagnosticsPanel } from './DiagnosticsPanel';
+import { PAGE_RENDER_START, formatMetric, useVitals } from './vitals';
+
+const PANEL_ID = 'diagnostics-panel';
+
+/**
+ * Footer status line: the build (commit and date), render time and the
+ * headline Web Vitals, with a toggle for the full diagnostics panel.
+ * `children` goes on the left (the notice).
+ */
+export function StatusBar({ children }) {
+  const { t, formatNumber, formatDate } = useI18n();
+  const { commit, dirty, builtAt } = buildInfo;
+  const { lcp, cls, inp } = useVitals();
+  const [renderTime, setRenderTime] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    // defer to next frame → avoids sync commit updates
+    requestAnimationFrame(() => {
+      const end = performance.now();
+      setRenderTime(end - PAGE_RENDER_START);
+    });
+  }, []);
+
+  const time = renderTime === null
+    ? "—"
+    : formatNumber(renderTime, { style: "unit", unit: "millisecond", unitDisplay: "narrow", minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const summary = Object.entries({ lcp, cls, inp })
+    .filter(([, value]) => value !== null)
+    .map(([name, value]) => `${name.toUpperCase()} ${formatMetric(name, value, formatNumber)}`);
+
+  return (
+    <div className="mt-16 text-[10px] font-mono text-ink-ghost">
+      <div className="flex flex-wrap justify-between gap-2">
+        {children}
+        <span className="flex flex-wrap items-center gap-3">
+          <span className="flex items-center gap-1" title={commit?.hash}>
+            <GitCommit size={10} aria-hidden="true" />
+            {t('footer.build', { commit: commit ? `${commit.short}${dirty ? '+' : ''}` : '—', date: formatDate(builtAt) })}
+          </span>
+          <span>{t("footer.renderTime", { time })}</span>
+          {summary.map((text) => (
+            <span key={text}>{text}</span>
+          ))}
+          <button
+            type="button"
+            onClick={() => setOpen((value) => !value)}
+            aria-expanded={open}
+            aria-controls={PANEL_ID}
+            className="flex items-center gap-1 hover:text-accent transition-colors print:hidden"
+          >
+            <Activity size={10} aria-hidden="true" />
+            {t('diag.toggle')}
+          </button>
+        </span>
+      </div>
+      {open && <DiagnosticsPanel id={PANEL_ID} />}
+    </div>
+  );
+}
@@ -0,0 +1,202 @@
+import { useSyncExternalStore } from 'react';
+
+// Local performance diagnostics. Everything here is read from browser APIs
+// (PerformanceObserver, Resource Timing, performance.memory) and kept in
+// memory for the diagnostics panel; nothing is stored or sent anywhere.
+
+/** Core Web Vitals thresholds (good up to the first, poor above the second). */
+export const THRESHOLDS = {
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25],
+  inp: [200, 500],
+  ttfb: [800, 1800],
+};
+
+export const rate = (metric, value) => {
+  if (value === null) return null;
+  const [good, poor] = THRESHOLDS[metric];
+  return value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor';
+};
+
+const ms = (value) => ({ style: 'unit', unit: 'millisecond', unitDisplay: 'narrow', maximumFractionDigits: value < 10 ? 1 : 0 });
+
+/** A metric value for display, using the locale's `formatNumber`. */
+export const formatMetric = (metric, value, formatNumber) =>
+  metric === 'cls' ? formatNumber(value, { maximumFractionDigits: 3 }) : formatNumber(value, ms(value));
+
+/** Byte counts as kB (or MB from 1 MB up). */
+export const formatBytes = (bytes, formatNumber) =>
+  bytes >= 1024 * 1024
+    ? formatNumber(bytes / (1024 * 1024), { style: 'unit', unit: 'megabyte', maximumFractionDigits: 1 })
+    : formatNumber(bytes / 1024, { style: 'unit', unit: 'kilobyte', maximumFractionDigits: 1 });
+
+/** Module load time, the reference point for the footer's render time. */
+export const PAGE_RENDER_START = typeof performance === 'undefined' ? 0 : performance.now();
+
+// How often heap and chunk sizes are re-read while the panel is open, and
+// how often frame statistics from the hero are published.
+const POLL_MS = 2000;
+const FRAME_REPORT_MS = 500;
+
+const listeners = new Set();
+const emit = () => listeners.forEach((listener) => listener());
+
+// --- Readiness ---
+
+// `scene` is the hero's WebGL state: 'off' when no scene is mounted, 'pending'
+// until the canvas is created, 'ready', or 'fallback' when the SVG is shown.
+const INITIAL_READINESS = { assets: false, fonts: false, scene: 'off' };
+let readiness = INITIAL_READINESS;
+
+const setReadiness = (patch) => {
+  if (Object.entries(patch).every(([key, value]) => readiness[key] === value)) return;
+  readiness = { ...readiness, ...patch };
+  emit();
+};
+
+/** Reported by the hero: see `scene` above. */
+export const setSceneState = (scene) => setReadiness({ scene });
+
+export const isReady = ({ assets, fonts, scene }) => assets && fonts && scene !== 'pending';
+
+let readinessWatched = false;
+
+const watchReadiness = () => {
+  if (readinessWatched) return;
+  readinessWatched = true;
+  if (document.readyState === 'complete') setReadiness({ assets: true });
+  else window.addEventListener('load', () => setReadiness({ assets: true }), { once: true });
+  if (document.fonts) document.fonts.ready.then(() => setReadiness({ fonts: true }));
+  else setReadiness({ fonts: true });
+};
+
+// --- Web Vitals ---
+
+const INITIAL_VITALS = { lcp: null, cls: null, inp: null, ttfb: null, heap: null, frame: null, chunks: [] };
+let vitals = INITIAL_VITALS;
+
+const setVitals = (patch) => {
+  vitals = { ...vitals, ...patch };
+  emit();
+};
+
+const observe = (type, callback, options = {}) => {
+  if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return;
+  new PerformanceObserver((list) => callback(list.getEntries())).observe({ type, buffered: true, ...options });
+};
+
+// CLS is the largest burst of layout shifts: shifts less than 1 s apart and
+// within a 5 s window are summed, and the worst window counts.
+let clsWindow = { value: 0, first: 0, last: 0 };
+
+const onLayoutShifts = (entries) => {
+  for (const entry of entries) {
+    if (entry.hadRecentInput) continue;
+    const joins = entry.startTime - clsWindow.last < 1000 && entry.startTime - clsWindow.first < 5000;
+    clsWindow = joins
+      ? { value: clsWindow.value + entry.value, first: clsWindow.first, last: entry.startTime }
+      : { value: entry.value, first: entry.startTime, last: entry.startTime };
+    if (clsWindow.value > (vitals.cls ?? 0)) setVitals({ cls: clsWindow.value });
+  }
+  if (vitals.cls === null) setVitals({ cls: 0 });
+};
+
+// INP is (roughly) the 98th percentile of interaction latency: the slowest
+// interaction, skipping one more for every 50 interactions.
+const interactions = new Map();
+
+const onEvents = (entries) => {
+  for (const entry of entries) {
+    if (!entry.interactionId) continue;
+    interactions.set(entry.interactionId, Math.max(entry.duration, interactions.get(entry.interactionId) ?? 0));
+  }
+  if (interactions.size === 0) return;
+  const slowest = [...interactions.values()].sort((a, b) => b - a);
+  setVitals({ inp: slowest[Math.min(Math.floor(interactions.size / 50), slowest.length - 1)] });
+};
+
+let vitalsWatched = false;
+
+const watchVitals = () => {
+  if (vitalsWatched || typeof PerformanceObserver === 'undefined') return;
+  vitalsWatched = true;
+  observe('largest-contentful-paint', (entries) => setVitals({ lcp: entries[entries.length - 1].startTime }));
+  observe('layout-shift', onLayoutShifts);
+  observe('event', onEvents, { durationThreshold: 40 });
+  observe('first-input', onEvents);
+  const [navigation] = performance.getEntriesByType('navigation');
+  if (navigation) setVitals({ ttfb: Math.max(0, navigation.responseStart - (navigation.activationStart ?? 0)) });
+};
+
+// JS and CSS chunks of the build, as fetched by this page (dev serves modules
+// unbundled, so the list is empty there). `transfer` is 0 for cached files.
+const readChunks = () =>
+  performance
+    .getEntriesByType('resource')
+    .filter((entry) => /\/assets\/[^/]+\.(js|css)$/.test(new URL(entry.name).pathname))
+    .map((entry) => ({
+      name: new URL(entry.name).pathname.split('/').pop(),
+      transfer: entry.transferSize,
+      decoded: entry.decodedBodySize,
+    }))
+    .sort((a, b) => b.decoded - a.decoded);
+
+// performance.memory is Chromium-only.
+const readHeap = () =>
+  performance.memory ? { used: performance.memory.usedJSHeapSize, limit: performance.memory.jsHeapSizeLimit } : null;
+
+let pollers = 0;
+let pollTimer = null;
+
+const poll = () => setVitals({ heap: readHeap(), chunks: readChunks() });
+
+/**
+ * Starts re-reading heap and chunk sizes (for an open panel); returns a
+ * function that stops again.
+ */
+export function startPolling() {
+  pollers += 1;
+  if (pollers === 1) {
+    poll();
+    pollTimer = setInterval(poll, POLL_MS);
+  }
+  return () => {
+    pollers -= 1;
+    if (pollers === 0) clearInterval(pollTimer);
+  };
+}
+
+// --- Hero frames ---
+
+let frames = { count: 0, total: 0, since: 0 };
+
+/**
+ * Called by the hero scene with the time one frame took to render (ms).
+ * Published as `{ ms, fps }` averaged over the last half second or so.
+ */
+export function reportFrame(renderMs, now) {
+  frames = { count: frames.count + 1, total: frames.total + renderMs, since: frames.since || now };
+  const elapsed = now - frames.since;
+  if (elapsed < FRAME_REPORT_MS) return;
+  setVitals({ frame: { ms: frames.total / frames.count, fps: ((frames.count - 1) * 1000) / elapsed } });
+  frames = { count: 0, total: 0, since: 0 };
+}
+
+// --- Hooks ---
+
+const subscribe = (listener) => {
+  watchReadiness();
+  watchVitals();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/** Readiness checks; `isReady` folds them. The server sees nothing ready yet. */
+export const useReadiness = () => useSyncExternalStore(subscribe, () => readiness, () => INITIAL_READINESS);
+
+/**
+ * Current measurements: `lcp`, `inp`, `ttfb` (ms) and `cls` (score), null
+ * until known; `heap` ({ used, limit } bytes) and `chunks` while polling;
+ * `frame` ({ ms, fps }) once the hero has rendered.
+ */
+export const useVitals = () => useSyncExternalStore(subscribe, () => vitals, () => INITIAL_VITALS);
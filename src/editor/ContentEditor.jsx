@@ -0,0 +1,142 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Check, Copy, Download, Pencil, RotateCcw, X } from 'lucide-react';
+import content from 'virtual:content';
+import { ContentPreviewContext } from '../i18n/i18n';
+import { DEFAULT_LOCALE } from '../i18n/locales';
+import { useRouter } from '../router/context';
+import { EditorContext } from './context';
+import { ItemForm } from './forms';
+import {
+  EDITABLE_FILES,
+  discardDraft,
+  downloadFile,
+  draftProblems,
+  isPristine,
+  loadDraft,
+  resolveIcons,
+  saveDraft,
+  serializeFile,
+} from './draft';
+
+const buttonClass =
+  'flex items-center gap-1 px-2 py-1 border border-edge text-[10px] font-mono text-ink-soft hover:border-accent hover:text-accent-strong transition-colors';
+
+/**
+ * Edit mode (`?edit`). Previews the draft in place of the built-in content,
+ * adds an EDIT toggle to every <Editable> item and shows a toolbar to export
+ * the draft as content files. Loaded on demand; see ./context.js for when it
+ * is part of the build at all. The editor UI is English-only, like the source
+ * content it edits.
+ */
+export default function ContentEditor({ onExit, children }) {
+  const { locale } = useRouter();
+  const [draft, setDraft] = useState(loadDraft);
+  const [openItem, setOpenItem] = useState(null);
+  const [copied, setCopied] = useState(null);
+
+  useEffect(() => saveDraft(draft), [draft]);
+
+  const preview = useMemo(() => ({ ...content, ...resolveIcons(draft) }), [draft]);
+  const problems = useMemo(() => draftProblems(draft), [draft]);
+
+  const updateItem = (kind, next) => {
+    setCopied(null);
+    setDraft((current) => ({ ...current, [kind]: current[kind].map((item) => (item.id === next.id ? next : item)) }));
+  };
+
+  const editor = {
+    renderEditable(kind, id, rendered) {
+      const key = `${kind}:${id}`;
+      const item = draft[kind].find((entry) => entry.id === id);
+      if (!item) return rendered;
+      const open = openItem === key;
+      return (
+        <div className="relative outline-dashed outline-1 outline-offset-4 outline-accent/30">
+          {rendered}
+          <button
+            type="button"
+            onClick={() => setOpenItem(open ? null : key)}
+            aria-expanded={open}
+            className={`absolute -top-3 right-2 z-10 bg-canvas ${buttonClass}`}
+          >
+            {open ? <X size={10} aria-hidden="true" /> : <Pencil size={10} aria-hidden="true" />}
+            {open ? 'DONE' : 'EDIT'}
+            <span className="sr-only"> {item.title ?? id}</span>
+          </button>
+          {open && <ItemForm kind={kind} item={item} draft={draft} onChange={(next) => updateItem(kind, next)} />}
+        </div>
+      );
+    },
+  };
+
+  const copyFile = async (name) => {
+    try {
+      await navigator.clipboard.writeText(serializeFile(draft, name));
+      setCopied(name);
+    } catch {
+      // Clipboard access denied; the download button still works.
+    }
+  };
+
+  const discard = () => {
+    if (!window.confirm('Discard the draft and go back to the published content?')) return;
+    setDraft(discardDraft());
+  };
+
+  return (
+    <EditorContext.Provider value={editor}>
+      <ContentPreviewContext.Provider value={preview}>
+        {children}
+        <div role="region" aria-label="Content editor" className="fixed bottom-4 left-4 right-4 md:left-auto md:w-[28rem] z-[55] border border-accent/40 bg-surface p-4 shadow-2xl font-mono text-[10px] text-ink-soft print:hidden">
+          <div className="flex items-center gap-2 mb-3">
+            <Pencil size={12} className="text-accent" aria-hidden="true" />
+            <span className="text-accent-strong tracking-wider">CONTENT EDITOR</span>
+            <span className="text-ink-faint">{isPristine(draft) ? 'no changes' : 'draft saved in this browser'}</span>
+            <div className="flex-grow" />
+            <button type="button" onClick={onExit} className={buttonClass}>
+              <X size={10} aria-hidden="true" /> EXIT
+            </button>
+          </div>
+
+          {locale !== DEFAULT_LOCALE && (
+            <p className="mb-3 text-status-prototype">
+              The draft edits the English content; switch to English to preview it.
+            </p>
+          )}
+
+          {problems.length > 0 ? (
+            <details className="mb-3 text-status-research">
+              <summary className="cursor-pointer">{problems.length} problem(s); the build would reject these files</summary>
+              <ul className="mt-2 max-h-32 overflow-auto space-y-1">
+                {problems.map((problem) => (
+                  <li key={problem}>{problem}</li>
+                ))}
+              </ul>
+            </details>
+          ) : (
+            <p className="mb-3 text-status-active">Draft is valid.</p>
+          )}
+
+          <ul className="space-y-1">
+            {EDITABLE_FILES.map((name) => (
+              <li key={name} className="flex items-center gap-2">
+                <span className="flex-grow">src/content/{name}.json</span>
+                <button type="button" onClick={() => copyFile(name)} className={buttonClass}>
+                  {copied === name ? <Check size={10} aria-hidden="true" /> : <Copy size={10} aria-hidden="true" />}
+                  COPY
+                </button>
+                <button type="button" onClick={() => downloadFile(draft, name)} className={buttonClass}>
+                  <Download size={10} aria-hidden="true" /> EXPORT
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <button type="button" onClick={discard} disabled={isPristine(draft)} className={`mt-3 disabled:opacity-40 ${buttonClass}`}>
+            <RotateCcw size={10} aria-hidden="true" /> DISCARD DRAFT
+          </button>
+        </div>
+      </ContentPreviewContext.Provider>
+    </EditorContext.Provider>
+  );
+}
@@ -0,0 +1,10 @@
+import { useEditor } from './context';
+
+/**
+ * Marks a rendered content item (`kind` is the content file, `id` the item's
+ * id) as editable. Renders just `children` unless the editor is open.
+ */
+export const Editable = ({ kind, id, children }) => {
+  const editor = useEditor();
+  return editor ? editor.renderEditable(kind, id, children) : children;
+};
@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+
+// Provided by ContentEditor while edit mode is on; null otherwise, so the
+// rest of the site never loads editor code.
+export const EditorContext = createContext(null);
+
+export const useEditor = () => useContext(EditorContext);
+
+/** Whether this build includes the editor: always in dev, in production only with VITE_CONTENT_EDITOR=true. */
+export const EDITOR_ENABLED = import.meta.env.DEV || import.meta.env.VITE_CONTENT_EDITOR === 'true';
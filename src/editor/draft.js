@@ -0,0 +1,94 @@
+import source from 'virtual:content/source';
+import * as lucide from 'lucide-react';
+import { validateContent, validateReferences } from '../../plugins/content-schema.js';
+
+/** Content files the editor can change; the others are used as they are. */
+export const EDITABLE_FILES = ['projects', 'domains', 'skills', 'timeline'];
+
+const STORAGE_KEY = 'content-draft';
+
+const ICONS = Object.fromEntries(
+  Object.entries(lucide).filter(([name, value]) => /^[A-Z]/.test(name) && typeof value === 'object'),
+);
+export const ICON_NAMES = new Set(Object.keys(ICONS));
+
+const pristine = () => Object.fromEntries(EDITABLE_FILES.map((name) => [name, source[name]]));
+
+/** The saved draft, or the shipped content when there is none (or it is unreadable). */
+export function loadDraft() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (EDITABLE_FILES.every((name) => Array.isArray(stored?.[name]))) return stored;
+  } catch {
+    // Fall through to the shipped content.
+  }
+  return pristine();
+}
+
+export function saveDraft(draft) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(draft));
+  } catch {
+    // Storage may be full or disabled; the draft then lasts for this page only.
+  }
+}
+
+export function discardDraft() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Nothing stored.
+  }
+  return pristine();
+}
+
+export const isPristine = (draft) => EDITABLE_FILES.every((name) => JSON.stringify(draft[name]) === JSON.stringify(source[name]));
+
+/**
+ * Swaps icon names for lucide components, as the content plugin does at build
+ * time. Unknown names (mid-typing, say) render as a placeholder icon.
+ */
+export function resolveIcons(value) {
+  if (Array.isArray(value)) return value.map(resolveIcons);
+  if (value === null || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [
+      key,
+      key === 'icon' && typeof entry === 'string' ? (ICONS[entry] ?? lucide.CircleHelp) : resolveIcons(entry),
+    ]),
+  );
+}
+
+/** Schema and reference problems in the draft, labelled with their file like the build does. */
+export function draftProblems(draft) {
+  const problems = EDITABLE_FILES.flatMap((name) =>
+    validateContent(name, draft[name], { icons: ICON_NAMES }).map((message) => `${name}.json ${message}`),
+  );
+  return problems.length ? problems : validateReferences({ ...source, ...draft });
+}
+
+/**
+ * Schema problems in one item of `kind` (a content file name), by top-level
+ * field, e.g. `{ end: 'must not be before start (2024)' }`; for flagging
+ * fields in the item's form.
+ */
+export function itemProblems(kind, item) {
+  const problems = {};
+  validateContent(kind, [item], { icons: ICON_NAMES }).forEach((message) => {
+    const field = message.match(/^\[0\]\.(\w+)[^:]*: (.*)$/);
+    if (field) problems[field[1]] ??= field[2];
+  });
+  return problems;
+}
+
+/** `<name>.json` exactly as src/content expects it. */
+export const serializeFile = (draft, name) => `${JSON.stringify(draft[name], null, 2)}\n`;
+
+export function downloadFile(draft, name) {
+  const url = URL.createObjectURL(new Blob([serializeFile(draft, name)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
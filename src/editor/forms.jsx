@@ -0,0 +1,222 @@
+import { Plus, X } from 'lucide-react';
+import { PROJECT_STATUSES, SKILL_TYPES } from '../../plugins/content-schema.js';
+import { itemProblems } from './draft';
+
+// Forms for one item of each editable content file. Each takes the item as it
+// is in the JSON and reports the whole next item through `onChange`. Cleared
+// optional fields are set to undefined, which drops them from the export.
+
+const inputClass =
+  'w-full bg-surface border border-edge px-2 py-1 text-xs font-mono text-ink-bright outline-none focus:border-accent';
+const iconButtonClass = 'p-1 text-ink-faint hover:text-accent-strong transition-colors';
+
+/** Copy of `item` with `key` set, or removed when `value` is undefined. */
+const withField = (item, key, value) => {
+  const next = { ...item, [key]: value };
+  if (value === undefined) delete next[key];
+  return next;
+};
+
+/** A labelled input; `problem` is the build's complaint about its value, shown under it. */
+const Field = ({ label, children, wide, problem }) => (
+  <label className={`flex flex-col gap-1 ${wide ? 'sm:col-span-2' : ''}`}>
+    <span className="font-mono text-[10px] uppercase tracking-wider text-ink-muted">{label}</span>
+    {children}
+    {problem && <span className="font-mono text-[10px] text-status-research">{problem}</span>}
+  </label>
+);
+
+const TextInput = ({ value, onChange, ...props }) => (
+  <input type="text" value={value ?? ''} onChange={(e) => onChange(e.target.value)} className={inputClass} {...props} />
+);
+
+const YearInput = ({ value, onChange, invalid }) => (
+  <input
+    type="number"
+    min={1900}
+    value={value ?? ''}
+    onChange={(e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+    aria-invalid={invalid || undefined}
+    className={`${inputClass} ${invalid ? 'border-status-research' : ''}`}
+  />
+);
+
+const Select = ({ value, options, onChange }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+    {options.map((option) => (
+      <option key={option} value={option}>
+        {option}
+      </option>
+    ))}
+  </select>
+);
+
+/** Editable list of rows with add and remove buttons; `renderRow(row, update)` draws the inputs. */
+const Rows = ({ label, rows, onChange, newRow, renderRow }) => (
+  <fieldset className="sm:col-span-2 flex flex-col gap-1">
+    <legend className="font-mono text-[10px] uppercase tracking-wider text-ink-muted mb-1">{label}</legend>
+    {rows.map((row, i) => (
+      <div key={i} className="flex items-center gap-2">
+        {renderRow(row, (next) => onChange(rows.map((r, j) => (j === i ? next : r))))}
+        <button
+          type="button"
+          onClick={() => onChange(rows.filter((_, j) => j !== i))}
+          className={iconButtonClass}
+          aria-label={`Remove ${label} row ${i + 1}`}
+        >
+          <X size={12} aria-hidden="true" />
+        </button>
+      </div>
+    ))}
+    <button
+      type="button"
+      onClick={() => onChange([...rows, newRow])}
+      className="self-start flex items-center gap-1 mt-1 text-[10px] font-mono text-ink-muted hover:text-accent-strong transition-colors"
+    >
+      <Plus size={12} aria-hidden="true" /> ADD
+    </button>
+  </fieldset>
+);
+
+const StringRows = ({ label, values, onChange }) => (
+  <Rows
+    label={label}
+    rows={values}
+    onChange={onChange}
+    newRow=""
+    renderRow={(value, update) => <TextInput value={value} onChange={update} aria-label={label} />}
+  />
+);
+
+function ProjectForm({ item, set, domains }) {
+  return (
+    <>
+      <Field label="Title">
+        <TextInput value={item.title} onChange={(v) => set('title', v)} />
+      </Field>
+      <Field label="Subtitle">
+        <TextInput value={item.subtitle} onChange={(v) => set('subtitle', v)} />
+      </Field>
+      <Field label="Status">
+        <Select value={item.status} options={PROJECT_STATUSES} onChange={(v) => set('status', v)} />
+      </Field>
+      <Field label="Domain">
+        <Select value={item.domain} options={domains.map((d) => d.id)} onChange={(v) => set('domain', v)} />
+      </Field>
+      <Field label="Icon">
+        <TextInput value={item.icon} onChange={(v) => set('icon', v)} />
+      </Field>
+      <Field label="GitHub">
+        <TextInput value={item.github_url} onChange={(v) => set('github_url', v || undefined)} placeholder="Private" />
+      </Field>
+      <StringRows label="Tags" values={item.tags} onChange={(v) => set('tags', v)} />
+      <StringRows label="Architecture" values={item.tech} onChange={(v) => set('tech', v)} />
+      <Rows
+        label="Features"
+        rows={item.features}
+        onChange={(v) => set('features', v)}
+        newRow={{ label: '', value: '' }}
+        renderRow={(feature, update) => (
+          <>
+            <TextInput value={feature.label} onChange={(v) => update({ ...feature, label: v })} placeholder="Key" aria-label="Feature key" />
+            <TextInput value={feature.value} onChange={(v) => update({ ...feature, value: v })} placeholder="Value" aria-label="Feature value" />
+            <TextInput
+              value={feature.icon}
+              onChange={(v) => update(withField(feature, 'icon', v || undefined))}
+              placeholder="Icon"
+              aria-label="Feature icon"
+            />
+          </>
+        )}
+      />
+    </>
+  );
+}
+
+function DomainForm({ item, set }) {
+  return (
+    <>
+      <Field label="Title">
+        <TextInput value={item.title} onChange={(v) => set('title', v)} />
+      </Field>
+      <Field label="Icon">
+        <TextInput value={item.icon} onChange={(v) => set('icon', v)} />
+      </Field>
+      <Field label="Description" wide>
+        <textarea value={item.description} onChange={(e) => set('description', e.target.value)} rows={3} className={inputClass} />
+      </Field>
+      <StringRows label="Key areas" values={item.technologies} onChange={(v) => set('technologies', v)} />
+    </>
+  );
+}
+
+function SkillGroupForm({ item, set }) {
+  return (
+    <>
+      <Field label="Title">
+        <TextInput value={item.title} onChange={(v) => set('title', v)} />
+      </Field>
+      <Field label="Icon">
+        <TextInput value={item.icon} onChange={(v) => set('icon', v)} />
+      </Field>
+      <Rows
+        label="Skills"
+        rows={item.skills}
+        onChange={(v) => set('skills', v)}
+        newRow={{ name: '', type: 'normal' }}
+        renderRow={(skill, update) => (
+          <>
+            <TextInput value={skill.name} onChange={(v) => update({ ...skill, name: v })} aria-label="Skill name" />
+            <Select value={skill.type} options={SKILL_TYPES} onChange={(v) => update({ ...skill, type: v })} />
+          </>
+        )}
+      />
+    </>
+  );
+}
+
+function TimelineForm({ item, set, problems }) {
+  return (
+    <>
+      <Field label="Title">
+        <TextInput value={item.title} onChange={(v) => set('title', v)} />
+      </Field>
+      <Field label="Role">
+        <TextInput value={item.role} onChange={(v) => set('role', v)} />
+      </Field>
+      <Field label="Start" problem={problems.start}>
+        <YearInput value={item.start} onChange={(v) => set('start', v)} invalid={Boolean(problems.start)} />
+      </Field>
+      <Field label="End" problem={problems.end}>
+        <YearInput value={item.end} onChange={(v) => set('end', v)} invalid={Boolean(problems.end)} />
+      </Field>
+      <label className="flex items-center gap-2 font-mono text-[10px] uppercase tracking-wider text-ink-muted">
+        <input type="checkbox" checked={Boolean(item.ongoing)} onChange={(e) => set('ongoing', e.target.checked || undefined)} />
+        Ongoing
+      </label>
+      <Field label="Description" wide>
+        <textarea value={item.desc} onChange={(e) => set('desc', e.target.value)} rows={3} className={inputClass} />
+      </Field>
+    </>
+  );
+}
+
+const FORMS = { projects: ProjectForm, domains: DomainForm, skills: SkillGroupForm, timeline: TimelineForm };
+
+/** The form for one item of `kind` (a content file name). Ids are shown but not editable. */
+export function ItemForm({ kind, item, draft, onChange }) {
+  const Form = FORMS[kind];
+  return (
+    <div className="mt-2 mb-4 p-4 border border-dashed border-accent/40 bg-surface grid grid-cols-1 sm:grid-cols-2 gap-3">
+      <p className="sm:col-span-2 font-mono text-[10px] text-ink-faint">
+        {kind}.json › {item.id}
+      </p>
+      <Form
+        item={item}
+        set={(key, value) => onChange(withField(item, key, value))}
+        domains={draft.domains}
+        problems={itemProblems(kind, item)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import { StrictMode } from 'react'
+import { renderToString } from 'react-dom/server'
+import App from './App.jsx'
+import { alternateLinks, getPageMeta, metaTags, prerenderRoutes } from './seo/meta'
+import { splitLocale } from './i18n/locales'
+
+export { prerenderRoutes }
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c])
+
+/**
+ * Renders one route to the markup, <head> tags and <html lang> the prerender
+ * plugin writes into index.html.
+ */
+export function render(url) {
+  const { locale, path } = splitLocale(url.replace(/\/+$/, '') || '/')
+  const meta = getPageMeta(path, locale)
+  const html = renderToString(
+    <StrictMode>
+      <App url={url} />
+    </StrictMode>,
+  )
+  const head = [
+    `<title>${escapeHtml(meta.title)}</title>`,
+    `<link rel="canonical" href="${escapeHtml(meta.url)}" />`,
+    ...alternateLinks(meta).map(
+      ([hreflang, href]) => `<link rel="alternate" hreflang="${hreflang}" href="${escapeHtml(href)}" />`,
+    ),
+    ...metaTags(meta).map(([attr, key, value]) => `<meta ${attr}="${key}" content="${escapeHtml(value)}" />`),
+  ].join('\n    ')
+
+  return { html, head, lang: locale }
+}
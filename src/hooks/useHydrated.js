@@ -0,0 +1,15 @@
+import { useSyncExternalStore } from 'react';
+
+const subscribe = () => () => {};
+
+/**
+ * False on the server and during hydration, true afterwards. Lets browser-only
+ * components (WebGL, storage, media APIs) render after the prerendered markup
+ * has been adopted without causing a hydration mismatch.
+ */
+export const useHydrated = () =>
+  useSyncExternalStore(
+    subscribe,
+    () => true,
+    () => false,
+  );
@@ -0,0 +1,55 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Id of the element being read: the first of `ids` (in page order) that
+ * crosses the band just below a fixed header of `offset` px, else the last one
+ * already scrolled past. The last element also wins once it is fully on
+ * screen, since at the bottom of the page it may never reach the band.
+ * Null above the first element and while `enabled` is false.
+ */
+export function useScrollSpy(ids, { enabled = true, offset = 64 } = {}) {
+  const [active, setActive] = useState(null);
+  const key = ids.join(' ');
+
+  useEffect(() => {
+    if (!enabled) return;
+    const elements = key.split(' ').map((id) => document.getElementById(id)).filter(Boolean);
+    if (elements.length === 0) return;
+
+    const last = elements[elements.length - 1];
+    const inBand = new Set();
+    let lastInView = false;
+
+    const update = () => {
+      const current =
+        (lastInView && last) ||
+        elements.find((el) => inBand.has(el)) ||
+        elements.findLast((el) => el.getBoundingClientRect().top < offset);
+      setActive(current?.id ?? null);
+    };
+
+    const band = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => (entry.isIntersecting ? inBand.add(entry.target) : inBand.delete(entry.target)));
+        update();
+      },
+      { rootMargin: `-${offset}px 0px -55% 0px` },
+    );
+    const bottom = new IntersectionObserver(
+      ([entry]) => {
+        lastInView = entry.intersectionRatio >= 0.95;
+        update();
+      },
+      { threshold: [0.95] },
+    );
+
+    elements.forEach((el) => band.observe(el));
+    bottom.observe(last);
+    return () => {
+      band.disconnect();
+      bottom.disconnect();
+    };
+  }, [key, enabled, offset]);
+
+  return enabled ? active : null;
+}
@@ -0,0 +1,35 @@
+import { Link } from '../router/Router';
+import { useRouter } from '../router/context';
+import { useHydrated } from '../hooks/useHydrated';
+import { LOCALES, LOCALE_CODES } from './locales';
+import { useI18n } from './i18n';
+
+/** Links to the current page in every locale; real hrefs, so crawlers follow them too. */
+export const LocaleSwitcher = () => {
+  const { path, search, hash } = useRouter();
+  const { locale, t } = useI18n();
+  // The prerendered markup cannot know the query string or hash.
+  const suffix = useHydrated() ? `${search}${hash}` : '';
+
+  return (
+    <span role="group" aria-label={t('nav.language')} className="flex items-center gap-1">
+      {LOCALE_CODES.map((code, i) => (
+        <span key={code} className="flex items-center gap-1">
+          {i > 0 && <span className="text-ink-ghost">/</span>}
+          <Link
+            to={`${path}${suffix}`}
+            locale={code}
+            scroll={false}
+            hrefLang={code}
+            lang={code}
+            title={LOCALES[code].label}
+            aria-current={code === locale ? 'true' : undefined}
+            className={code === locale ? 'text-accent' : 'text-ink-muted hover:text-accent transition-colors'}
+          >
+            {LOCALES[code].short}
+          </Link>
+        </span>
+      ))}
+    </span>
+  );
+};
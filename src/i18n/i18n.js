@@ -0,0 +1,71 @@
+import { createContext, useContext } from 'react';
+import content, { localized } from 'virtual:content';
+import { useRouter } from '../router/context';
+import { DEFAULT_LOCALE } from './locales';
+import en from './messages/en.json';
+import de from './messages/de.json';
+
+const MESSAGES = { en, de };
+
+const interpolate = (template, params) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+
+const yearDate = (year) => Date.UTC(year, 0, 1);
+
+function createI18n(locale) {
+  const messages = MESSAGES[locale];
+  const numberFormat = new Intl.NumberFormat(locale);
+  const yearFormat = new Intl.DateTimeFormat(locale, { year: 'numeric', timeZone: 'UTC' });
+  const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' });
+
+  /** Message for `key` with `{name}` placeholders filled in; falls back to the default locale. */
+  const t = (key, params = {}) => {
+    const template = messages[key] ?? MESSAGES[DEFAULT_LOCALE][key];
+    if (template === undefined) {
+      if (import.meta.env.DEV) console.warn(`[i18n] missing message "${key}"`);
+      return key;
+    }
+    return interpolate(template, params);
+  };
+
+  const formatNumber = (value, options) =>
+    (options ? new Intl.NumberFormat(locale, options) : numberFormat).format(value);
+
+  /**
+   * A timeline entry's `start`/`end`/`ongoing` as a localized year or year
+   * range, or "—" while a year is missing or not a whole number (an entry
+   * being edited in the content editor).
+   */
+  const formatYears = ({ start, end, ongoing }) => {
+    if (!Number.isInteger(start) || (end !== undefined && !Number.isInteger(end))) return '—';
+    if (ongoing) return t('timeline.ongoing', { year: yearFormat.format(yearDate(start)) });
+    if (end && end !== start) return yearFormat.formatRange(yearDate(start), yearDate(end));
+    return yearFormat.format(yearDate(start));
+  };
+
+  /** A YYYY-MM-DD date (e.g. a post's `date`) in the locale's long form. */
+  const formatDate = (isoDate) => dateFormat.format(Date.parse(isoDate));
+
+  return { locale, t, formatNumber, formatYears, formatDate, content: localized[locale] ?? content };
+}
+
+const cache = new Map();
+
+/** Messages, formatters and translated content for a locale, for code outside components. */
+export function getI18n(locale = DEFAULT_LOCALE) {
+  if (!cache.has(locale)) cache.set(locale, createI18n(locale));
+  return cache.get(locale);
+}
+
+/**
+ * Content to show instead of the built-in content in the default locale; the
+ * content editor (src/editor) provides its draft here for live preview.
+ */
+export const ContentPreviewContext = createContext(null);
+
+/** getI18n for the locale of the current URL. */
+export function useI18n() {
+  const i18n = getI18n(useRouter().locale);
+  const preview = useContext(ContentPreviewContext);
+  return preview && i18n.locale === DEFAULT_LOCALE ? { ...i18n, content: preview } : i18n;
+}
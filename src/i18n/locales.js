@@ -0,0 +1,26 @@
+/**
+ * Supported locales. The default locale lives at the site root; every other
+ * locale is served under a path prefix ("/de/projects/talks").
+ * `og` is the OpenGraph locale tag.
+ */
+export const LOCALES = {
+  en: { label: 'English', short: 'EN', og: 'en_US' },
+  de: { label: 'Deutsch', short: 'DE', og: 'de_DE' },
+};
+
+export const DEFAULT_LOCALE = 'en';
+export const LOCALE_CODES = Object.keys(LOCALES);
+
+/** "/de/projects/talks" → { locale: 'de', path: '/projects/talks' }. */
+export function splitLocale(path) {
+  const [, first, ...rest] = path.split('/');
+  if (first === DEFAULT_LOCALE || !Object.hasOwn(LOCALES, first)) return { locale: DEFAULT_LOCALE, path };
+  return { locale: first, path: `/${rest.join('/')}`.replace(/\/+$/, '') || '/' };
+}
+
+/** Inverse of splitLocale; `to` may carry a query string and hash ("/?q=x#projects" → "/de/?q=x#projects"). */
+export function localizePath(to, locale) {
+  if (locale === DEFAULT_LOCALE) return to;
+  const [, pathname, rest] = to.match(/^([^?#]*)(.*)$/);
+  return `/${locale}${pathname === '/' ? '/' : pathname}${rest}`;
+}
@@ -0,0 +1,15 @@
+/**
+ * Arrow/Home/End key support for an accordion, per the WAI-ARIA pattern.
+ * Attach to the element wrapping the accordion; its header buttons are marked
+ * with `data-accordion-header`. Enter/Space need nothing: headers are buttons.
+ */
+export function onAccordionKeyDown(e) {
+  const headers = [...e.currentTarget.querySelectorAll('[data-accordion-header]')];
+  const index = headers.indexOf(e.target);
+  if (index === -1) return;
+
+  const next = { ArrowDown: index + 1, ArrowUp: index - 1, Home: 0, End: headers.length - 1 }[e.key];
+  if (next === undefined) return;
+  e.preventDefault();
+  headers[(next + headers.length) % headers.length].focus();
+}
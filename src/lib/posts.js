@@ -0,0 +1,23 @@
+import { posts } from 'virtual:posts';
+
+/** Every tag used by a post, most used first. */
+export const POST_TAGS = Object.entries(
+  posts.flatMap((post) => post.tags).reduce((counts, tag) => ({ ...counts, [tag]: (counts[tag] ?? 0) + 1 }), {}),
+)
+  .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+  .map(([tag]) => tag);
+
+export const postUrl = (post) => `/notes/${post.slug}`;
+
+export const findPost = (slug) => posts.find((post) => post.slug === slug);
+
+/** Posts whose frontmatter `project` is `projectId`, newest first. */
+export const postsForProject = (projectId) => posts.filter((post) => post.project === projectId);
+
+/** The tag selected by a query string such as "?tag=sensors", or null. */
+export function parseTag(search) {
+  const tag = new URLSearchParams(search).get('tag');
+  return POST_TAGS.includes(tag) ? tag : null;
+}
+
+export const filterPosts = (tag) => (tag ? posts.filter((post) => post.tags.includes(tag)) : posts);
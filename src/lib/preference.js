@@ -0,0 +1,66 @@
+// A user preference kept in localStorage and applied to <html> as a data
+// attribute, shared by the theme and motion settings. The inline script in
+// index.html applies the same rules before first paint.
+
+/**
+ * `choices` are what the user can pick, including `system` (the default),
+ * which follows the OS through the media `queries`. `resolve(preference)`
+ * maps a preference to the value set as `data-<attribute>`.
+ */
+export function createPreference({ key, attribute, choices, queries, resolve }) {
+  const listeners = new Set();
+  const emit = () => listeners.forEach((listener) => listener());
+
+  const read = () => {
+    try {
+      const stored = localStorage.getItem(key);
+      return choices.includes(stored) ? stored : 'system';
+    } catch {
+      return 'system';
+    }
+  };
+
+  const apply = (preference) => {
+    document.documentElement.dataset[attribute] = resolve(preference);
+  };
+
+  const set = (preference) => {
+    if (!choices.includes(preference)) throw new Error(`Unknown ${key} preference '${preference}'`);
+    try {
+      if (preference === 'system') localStorage.removeItem(key);
+      else localStorage.setItem(key, preference);
+    } catch {
+      // Storage may be disabled; the choice then lasts for this page only.
+    }
+    apply(preference);
+    emit();
+  };
+
+  const onSystemChange = () => {
+    apply(read());
+    emit();
+  };
+
+  // Keeps other open tabs in step.
+  const onStorage = (e) => {
+    if (e.key !== key) return;
+    apply(read());
+    emit();
+  };
+
+  const subscribe = (listener) => {
+    if (listeners.size === 0) {
+      queries.forEach((query) => matchMedia(query).addEventListener('change', onSystemChange));
+      window.addEventListener('storage', onStorage);
+    }
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size > 0) return;
+      queries.forEach((query) => matchMedia(query).removeEventListener('change', onSystemChange));
+      window.removeEventListener('storage', onStorage);
+    };
+  };
+
+  return { read, set, subscribe, emit };
+}
@@ -0,0 +1,87 @@
+import { projects, domains } from 'virtual:content';
+
+/** Repository visibility derived from `github_url`. */
+export const githubState = (project) =>
+  project.github_url === 'Private'
+    ? 'private'
+    : project.github_url === 'Private till done'
+      ? 'locked'
+      : project.github_url
+        ? 'public'
+        : 'none';
+
+const unique = (values) => [...new Set(values)];
+
+/**
+ * Facet name → query parameter and the option values that occur in the
+ * content. Labels are locale-dependent, see `facetOptionLabel`.
+ */
+export const FACETS = [
+  { key: 'status', options: unique(projects.map((p) => p.status)) },
+  { key: 'domain', options: domains.filter((d) => projects.some((p) => p.domain === d.id)).map((d) => d.id) },
+  { key: 'tag', options: unique(projects.flatMap((p) => p.tags)) },
+  { key: 'repo', options: unique(projects.map(githubState)) },
+];
+
+/** Display label of a facet option, given `useI18n()`/`getI18n()`. Tags are shown as written. */
+export function facetOptionLabel(key, value, { t, content }) {
+  if (key === 'status') return t(`status.${value}`);
+  if (key === 'repo') return t(`repo.${value}`);
+  if (key === 'domain') return content.domains.find((d) => d.id === value).title;
+  return value;
+}
+
+const projectFacetValues = (project) => ({
+  status: [project.status],
+  domain: [project.domain],
+  tag: project.tags,
+  repo: [githubState(project)],
+});
+
+export const EMPTY_FILTERS = { status: [], domain: [], tag: [], repo: [], q: '' };
+
+/** Reads filters from a query string such as "?status=ACTIVE,RESEARCH&q=audio". */
+export function parseFilters(search) {
+  const params = new URLSearchParams(search);
+  const filters = { ...EMPTY_FILTERS, q: params.get('q') ?? '' };
+  for (const { key, options } of FACETS) {
+    const allowed = new Set(options);
+    filters[key] = (params.get(key) ?? '').split(',').filter((v) => allowed.has(v));
+  }
+  return filters;
+}
+
+/** Inverse of parseFilters; returns "" when nothing is filtered. */
+export function serializeFilters(filters) {
+  const params = new URLSearchParams();
+  for (const { key } of FACETS) {
+    if (filters[key].length) params.set(key, filters[key].join(','));
+  }
+  if (filters.q.trim()) params.set('q', filters.q);
+  const query = params.toString().replace(/%2C/g, ',');
+  return query ? `?${query}` : '';
+}
+
+export const hasFilters = (filters) => serializeFilters(filters) !== '';
+
+const searchableText = (project) =>
+  [project.title, project.subtitle, project.status, ...project.tags, ...project.tech, ...project.features.flatMap((f) => [f.label, f.value])]
+    .join(' ')
+    .toLowerCase();
+
+/**
+ * Projects matching every active facet (any selected option within a facet)
+ * and every whitespace-separated term of the text query.
+ */
+export function filterProjects(list, filters) {
+  const terms = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+  return list.filter((project) => {
+    const values = projectFacetValues(project);
+    const facetsMatch = FACETS.every(
+      ({ key }) => filters[key].length === 0 || values[key].some((v) => filters[key].includes(v)),
+    );
+    if (!facetsMatch) return false;
+    const text = searchableText(project);
+    return terms.every((term) => text.includes(term));
+  });
+}
@@ -0,0 +1,47 @@
+import { layout } from 'virtual:content';
+import buildInfo from 'virtual:build-info';
+import { SECTION_TYPES } from '../sections/registry';
+
+/** Id of the heading that labels a section (`aria-labelledby`). */
+export const sectionHeadingId = (id) => `${id}-heading`;
+
+/**
+ * Resolves layout entries (`{ type, id?, numbered?, props? }`) against the
+ * section types. Each section is rendered as `<section id={id}>`, so `/#<id>`
+ * links to it; `number` is its position among the numbered sections (1, 2, …),
+ * or null, and `updated` the last commit to the type's `source` file, or null.
+ */
+export function resolveLayout(entries, types = SECTION_TYPES) {
+  const sections = entries.flatMap((entry) => {
+    const type = types[entry.type];
+    if (!type) {
+      throw new Error(
+        `Unknown section type "${entry.type}" in layout.json; expected one of ${Object.keys(types).join(', ')}`,
+      );
+    }
+    if (type.enabled === false) return [];
+    const id = entry.id ?? entry.type;
+    return [
+      {
+        id,
+        type: entry.type,
+        component: type.component,
+        title: type.title ?? null,
+        nav: type.nav ?? null,
+        numbered: entry.numbered ?? type.numbered ?? false,
+        props: entry.props ?? {},
+        headingId: sectionHeadingId(id),
+        updated: (type.source && buildInfo.content[type.source]) ?? null,
+      },
+    ];
+  });
+
+  let count = 0;
+  return sections.map((section) => ({ ...section, number: section.numbered ? (count += 1) : null }));
+}
+
+/** Sections of the home page, in page order. */
+export const HOME_SECTIONS = resolveLayout(layout.sections);
+
+/** The home sections listed in the site nav (those with a `nav` label). */
+export const NAV_SECTIONS = HOME_SECTIONS.filter((section) => section.nav);
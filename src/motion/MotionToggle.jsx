@@ -0,0 +1,30 @@
+import { CirclePause, MonitorCog, Sparkles } from 'lucide-react';
+import { MOTION_PREFERENCES, useMotion } from './motion';
+import { useI18n } from '../i18n/i18n';
+
+const ICONS = { system: MonitorCog, full: Sparkles, reduced: CirclePause };
+
+/** Nav button cycling system → full → reduced motion. */
+export const MotionToggle = () => {
+  const { preference, reduced, setPreference } = useMotion();
+  const { t } = useI18n();
+  const next = MOTION_PREFERENCES[(MOTION_PREFERENCES.indexOf(preference) + 1) % MOTION_PREFERENCES.length];
+  const Icon = ICONS[preference];
+  const label =
+    preference === 'system'
+      ? t('motion.currentSystem', { motion: t(`motion.${reduced ? 'reduced' : 'full'}`) })
+      : t('motion.current', { motion: t(`motion.${preference}`) });
+  const title = `${label}. ${t('motion.switch', { motion: t(`motion.${next}`) })}`;
+
+  return (
+    <button
+      type="button"
+      onClick={() => setPreference(next)}
+      title={title}
+      aria-label={title}
+      className="text-ink-muted hover:text-accent transition-colors"
+    >
+      <Icon size={14} />
+    </button>
+  );
+};
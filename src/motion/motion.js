@@ -0,0 +1,76 @@
+import { useSyncExternalStore } from 'react';
+import { isLowEndDevice } from '../components/hero/quality';
+import { createPreference } from '../lib/preference';
+
+/** What the user can pick: follow the OS, or force full or reduced motion. */
+export const MOTION_PREFERENCES = ['system', 'full', 'reduced'];
+
+// Also read by the inline script in index.html, which sets data-motion before
+// first paint so the page fade-in is already shortened.
+const STORAGE_KEY = 'motion';
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+// Frame rate the hero scene is held to in low-power mode.
+export const LOW_POWER_FPS = 30;
+
+export const resolveMotion = (preference) =>
+  preference === 'system' ? (matchMedia(QUERY).matches ? 'reduced' : 'full') : preference;
+
+const store = createPreference({
+  key: STORAGE_KEY,
+  attribute: 'motion',
+  choices: MOTION_PREFERENCES,
+  queries: [QUERY],
+  resolve: resolveMotion,
+});
+
+export const setMotionPreference = store.set;
+
+/** For code outside React (e.g. the router's smooth scrolling). */
+export const isMotionReduced = () =>
+  typeof document !== 'undefined' && document.documentElement.dataset.motion === 'reduced';
+
+// Low power: a low-end device (see isLowEndDevice) or a discharging battery
+// below 20% (the Battery Status API is Chromium-only).
+let batteryLow = false;
+let batteryWatched = false;
+
+const watchBattery = () => {
+  if (batteryWatched || !navigator.getBattery) return;
+  batteryWatched = true;
+  navigator
+    .getBattery()
+    .then((battery) => {
+      const update = () => {
+        const low = !battery.charging && battery.level <= 0.2;
+        if (low === batteryLow) return;
+        batteryLow = low;
+        store.emit();
+      };
+      battery.addEventListener('chargingchange', update);
+      battery.addEventListener('levelchange', update);
+      update();
+    })
+    .catch(() => {});
+};
+
+const subscribe = (listener) => {
+  watchBattery();
+  return store.subscribe(listener);
+};
+
+const getReduced = () => isMotionReduced();
+const getLowPower = () => batteryLow || isLowEndDevice();
+
+/**
+ * Current motion preference, whether motion is reduced, and whether the
+ * device should save power. The server (and hydration) sees `system`, full
+ * motion and normal power; the real values follow on the client.
+ */
+export function useMotion() {
+  const preference = useSyncExternalStore(subscribe, store.read, () => 'system');
+  const reduced = useSyncExternalStore(subscribe, getReduced, () => false);
+  const lowPower = useSyncExternalStore(subscribe, getLowPower, () => false);
+  return { preference, reduced, lowPower, setPreference: setMotionPreference };
+}
@@ -0,0 +1,9 @@
+import { HOME_SECTIONS } from '../lib/sections';
+
+/** The home page: the sections of src/content/layout.json, in order. */
+export function HomePage() {
+  return HOME_SECTIONS.map((section) => {
+    const { component: Section } = section;
+    return <Section key={section.id} section={section} sections={HOME_SECTIONS} {...section.props} />;
+  });
+}
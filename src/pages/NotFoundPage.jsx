@@ -0,0 +1,22 @@
+import { MonoLabel } from '../components/primitives';
+import { Link } from '../router/Router';
+import { useRouter } from '../router/context';
+import { useI18n } from '../i18n/i18n';
+
+export function NotFoundPage() {
+  const { path } = useRouter();
+  const { t } = useI18n();
+
+  return (
+    <section className="min-h-[50vh] flex flex-col items-start justify-center gap-6">
+      <MonoLabel className="text-accent">{t('notFound.label')}</MonoLabel>
+      <h1 className="text-4xl font-bold text-ink-strong tracking-tight">{t('notFound.title', { path })}</h1>
+      <Link
+        to="/"
+        className="px-6 py-2 bg-ink-strong text-canvas text-sm font-medium hover:bg-accent hover:text-canvas transition-colors rounded-sm"
+      >
+        {t('notFound.back')}
+      </Link>
+    </section>
+  );
+}
@@ -0,0 +1,74 @@
+import { Rss } from 'lucide-react';
+import { Link } from '../router/Router';
+import { useRouter } from '../router/context';
+import { useI18n } from '../i18n/i18n';
+import { useHydrated } from '../hooks/useHydrated';
+import { MonoLabel } from '../components/primitives';
+import { TagLink } from '../components/TagLink';
+import { POST_TAGS, filterPosts, parseTag, postUrl } from '../lib/posts';
+import { feeds } from 'virtual:posts';
+
+const FEED_LINKS = [
+  { label: 'RSS', href: feeds.rss },
+  { label: 'Atom', href: feeds.atom },
+];
+
+/** Index of all posts, filtered by the `?tag=` in the URL. */
+export function NotesPage() {
+  const { search } = useRouter();
+  const { t, formatDate, formatNumber, locale } = useI18n();
+  const hydrated = useHydrated();
+  // The query string is unknown while prerendering.
+  const tag = hydrated ? parseTag(search) : null;
+  const visible = filterPosts(tag);
+
+  return (
+    <section aria-labelledby="notes-heading" className="mb-32">
+      <MonoLabel className="text-accent">{t('notes.label')}</MonoLabel>
+      <h1 id="notes-heading" className="mt-4 text-4xl font-bold text-ink-strong tracking-tight">{t('notes.title')}</h1>
+      <p className="mt-4 max-w-2xl text-ink-muted">{t('notes.intro')}</p>
+      {locale !== 'en' && <p className="mt-2 text-sm text-ink-faint">{t('notes.englishOnly')}</p>}
+
+      <div className="mt-6 flex items-center gap-4 text-[10px] font-mono">
+        {FEED_LINKS.map(({ label, href }) => (
+          <a key={href} href={href} className="flex items-center gap-1 text-ink-muted hover:text-accent-strong transition-colors">
+            <Rss size={12} aria-hidden="true" /> {label}
+          </a>
+        ))}
+      </div>
+
+      <nav aria-label={t('notes.filterLabel')} className="mt-10 flex flex-wrap items-center gap-2">
+        <TagLink active={!tag}>{t('notes.allTags')}</TagLink>
+        {POST_TAGS.map((value) => (
+          <TagLink key={value} tag={value} active={tag === value} />
+        ))}
+        <span className="ml-auto" aria-live="polite">
+          <MonoLabel>{t('notes.count', { count: formatNumber(visible.length) })}</MonoLabel>
+        </span>
+      </nav>
+
+      <ol className="mt-8 divide-y divide-edge border-y border-edge">
+        {visible.map((post) => (
+          <li key={post.slug} className="py-6">
+            <article>
+              <time dateTime={post.date}>
+                <MonoLabel>{formatDate(post.date)}</MonoLabel>
+              </time>
+              <h2 lang="en" className="mt-2 text-xl font-semibold text-ink-strong">
+                <Link to={postUrl(post)} className="hover:text-accent-strong transition-colors">
+                  {post.title}
+                </Link>
+              </h2>
+              <p lang="en" className="mt-2 text-sm text-ink-muted leading-relaxed">{post.summary}</p>
+              <div className="mt-3 flex flex-wrap gap-2">
+                {post.tags.map((value) => (
+                  <TagLink key={value} tag={value} active={tag === value} />
+                ))}
+              </div>
+            </article>
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+}
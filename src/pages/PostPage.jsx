@@ -0,0 +1,71 @@
+import { ArrowLeft, ChevronRight } from 'lucide-react';
+import { Link } from '../router/Router';
+import { useRouter } from '../router/context';
+import { useI18n } from '../i18n/i18n';
+import { MonoLabel } from '../components/primitives';
+import { TagLink } from '../components/TagLink';
+import { findPost } from '../lib/posts';
+import { NotFoundPage } from './NotFoundPage';
+
+/** One post. Its body is HTML compiled from Markdown at build time (plugins/markdown.js). */
+export function PostPage({ slug }) {
+  const { path, navigate } = useRouter();
+  const { t, formatDate, locale, content } = useI18n();
+  const post = findPost(slug);
+
+  if (!post) return <NotFoundPage />;
+
+  const project = post.project && content.projects.find((p) => p.id === post.project);
+
+  // Site links and heading anchors in the compiled body go through the router
+  // like <Link> does; external links open in a new tab.
+  const onBodyClick = (e) => {
+    const anchor = e.target.closest('a');
+    const href = anchor?.getAttribute('href');
+    if (!href || anchor.target || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    if (!href.startsWith('/') && !href.startsWith('#')) return;
+    e.preventDefault();
+    navigate(href.startsWith('#') ? `${path}${href}` : href);
+  };
+
+  return (
+    <article className="mb-32">
+      <Link
+        to="/notes"
+        className="inline-flex items-center gap-2 text-xs font-mono text-ink-muted hover:text-accent transition-colors mb-12"
+      >
+        <ArrowLeft size={14} /> {t('notes.back')}
+      </Link>
+
+      <header className="mb-12 border-b border-edge pb-8">
+        <time dateTime={post.date}>
+          <MonoLabel className="text-accent">{formatDate(post.date)}</MonoLabel>
+        </time>
+        <h1 lang="en" className="mt-4 text-4xl font-bold text-ink-strong tracking-tight">{post.title}</h1>
+        <div className="mt-6 flex flex-wrap items-center gap-2">
+          {post.tags.map((tag) => (
+            <TagLink key={tag} tag={tag} />
+          ))}
+        </div>
+        {locale !== 'en' && <p className="mt-4 text-sm text-ink-faint">{t('notes.englishOnly')}</p>}
+      </header>
+
+      {/* Build-time HTML from our own Markdown; the compiler escapes raw HTML. */}
+      <div
+        lang="en"
+        className="prose-notes"
+        onClick={onBodyClick}
+        dangerouslySetInnerHTML={{ __html: post.html }}
+      />
+
+      {project && (
+        <Link
+          to={project.deepDive ? `/projects/${project.id}` : `/#project-${project.id}`}
+          className="mt-16 flex items-center justify-end gap-2 text-sm font-mono text-ink-muted hover:text-accent transition-colors"
+        >
+          {t('notes.related', { title: project.title })} <ChevronRight size={14} />
+        </Link>
+      )}
+    </article>
+  );
+}
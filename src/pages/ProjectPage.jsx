@@ -0,0 +1,56 @@
+import { ArrowLeft, ChevronRight } from 'lucide-react';
+import { Link } from '../router/Router';
+import { useI18n } from '../i18n/i18n';
+import { MonoLabel } from '../components/primitives';
+import { DeepDive } from '../components/DeepDive';
+import { NotFoundPage } from './NotFoundPage';
+
+export function ProjectPage({ id }) {
+  const { t, content } = useI18n();
+  const deepDiveProjects = content.projects.filter((p) => p.deepDive);
+  const index = deepDiveProjects.findIndex((p) => p.id === id);
+  const project = deepDiveProjects[index];
+  const next = deepDiveProjects[(index + 1) % deepDiveProjects.length];
+
+  if (!project) return <NotFoundPage />;
+
+  const Icon = project.icon;
+
+  return (
+    <article className="mb-32">
+      <Link
+        to="/#projects"
+        className="inline-flex items-center gap-2 text-xs font-mono text-ink-muted hover:text-accent transition-colors mb-12"
+      >
+        <ArrowLeft size={14} /> {t('projectPage.back')}
+      </Link>
+
+      <div className="flex items-center gap-2 mb-6">
+        <MonoLabel className="text-accent">{t('deepDive.label')}</MonoLabel>
+        <div className="h-px bg-edge flex-grow"></div>
+        <MonoLabel>{t(`status.${project.status}`)}</MonoLabel>
+      </div>
+
+      <header className="flex items-start gap-4 mb-12">
+        <div className="p-2 rounded bg-surface border border-edge text-accent-strong">
+          <Icon size={28} />
+        </div>
+        <div>
+          <h1 className="text-4xl font-bold text-ink-strong tracking-tight">{project.title}</h1>
+          <p className="text-ink-muted mt-2">{project.subtitle}</p>
+        </div>
+      </header>
+
+      <DeepDive project={project} figureNumber={index + 1} heading={t('deepDive.notes')} />
+
+      {next !== project && (
+        <Link
+          to={`/projects/${next.id}`}
+          className="mt-12 flex items-center justify-end gap-2 text-sm font-mono text-ink-muted hover:text-accent transition-colors"
+        >
+          {t('projectPage.next', { title: next.title })} <ChevronRight size={14} />
+        </Link>
+      )}
+    </article>
+  );
+}
@@ -0,0 +1,130 @@
+import { ArrowLeft, FileJson, Printer } from 'lucide-react';
+import { Link } from '../router/Router';
+import { useI18n } from '../i18n/i18n';
+import { githubState } from '../lib/projects';
+
+const Heading = ({ children }) => (
+  <h2 className="font-mono text-[10px] uppercase tracking-wider text-accent border-b border-edge pb-1 mb-3">{children}</h2>
+);
+
+const hrefLabel = (href) => href.replace(/^mailto:|^https:\/\/(www\.)?/, '').replace(/\/$/, '');
+
+/**
+ * The portfolio content as a one-page CV. On screen it is a sheet with print
+ * and JSON Resume actions; printed, the print stylesheet in src/index.css
+ * drops the site chrome and switches to black on white.
+ */
+export function ResumePage() {
+  const { t, formatYears, content } = useI18n();
+  const { site, contact, timeline, projects, domains, skills } = content;
+
+  return (
+    <div className="mb-32 print:mb-0">
+      <div className="mb-8 flex flex-wrap items-center gap-4 print:hidden">
+        <Link
+          to="/"
+          className="mr-auto inline-flex items-center gap-2 text-xs font-mono text-ink-muted hover:text-accent transition-colors"
+        >
+          <ArrowLeft size={14} /> {t('resume.back')}
+        </Link>
+        <button
+          type="button"
+          onClick={() => window.print()}
+          className="inline-flex items-center gap-2 px-4 py-2 bg-ink-strong text-canvas text-xs font-mono hover:bg-accent transition-colors rounded-sm"
+        >
+          <Printer size={14} aria-hidden="true" /> {t('resume.print')}
+        </button>
+        <a
+          href="/resume.json"
+          download
+          className="inline-flex items-center gap-2 px-4 py-2 border border-edge-strong text-ink text-xs font-mono hover:border-edge-hover transition-colors rounded-sm"
+        >
+          <FileJson size={14} aria-hidden="true" /> {t('resume.json')}
+        </a>
+      </div>
+
+      <article className="resume mx-auto max-w-[210mm] bg-surface border border-edge p-8 md:p-12 text-sm text-ink-soft print:max-w-none print:border-0 print:p-0">
+        <header className="mb-6">
+          <p className="font-mono text-[10px] uppercase tracking-wider text-ink-faint">{t('resume.label')}</p>
+          <h1 className="text-3xl font-bold text-ink-strong tracking-tight">{site.name}</h1>
+          <p className="mt-2 text-ink-muted leading-snug">{site.description}</p>
+          <ul className="mt-3 flex flex-wrap gap-x-4 gap-y-1 font-mono text-xs text-ink">
+            {contact.links.map((link) => (
+              <li key={link.id}>
+                <a href={link.href} className="hover:text-accent-strong">{link.text}</a>
+              </li>
+            ))}
+            <li>
+              <a href={contact.github} className="hover:text-accent-strong">{hrefLabel(contact.github)}</a>
+            </li>
+            <li>
+              <a href={site.url} className="hover:text-accent-strong">{hrefLabel(site.url)}</a>
+            </li>
+          </ul>
+        </header>
+
+        <section className="mb-6">
+          <Heading>{t('resume.experience')}</Heading>
+          <ol className="space-y-3">
+            {timeline.map((entry) => (
+              <li key={entry.id} className="grid grid-cols-[6rem_1fr] gap-3 break-inside-avoid">
+                <span className="font-mono text-xs text-ink-muted">{formatYears(entry)}</span>
+                <div>
+                  <h3 className="font-semibold text-ink-strong">
+                    {entry.title} <span className="font-normal text-ink-muted">· {entry.role}</span>
+                  </h3>
+                  <p className="leading-snug">{entry.desc}</p>
+                </div>
+              </li>
+            ))}
+          </ol>
+        </section>
+
+        <section className="mb-6">
+          <Heading>{t('resume.projects')}</Heading>
+          <ul className="space-y-3">
+            {projects.map((project) => (
+              <li key={project.id} className="break-inside-avoid">
+                <h3 className="font-semibold text-ink-strong">
+                  {project.title}{' '}
+                  <span className="font-mono text-[10px] font-normal text-ink-muted">
+                    {t(`status.${project.status}`)}
+                    {githubState(project) === 'public' && ` · ${hrefLabel(project.github_url)}`}
+                  </span>
+                </h3>
+                <p className="text-ink-muted leading-snug">{project.subtitle}</p>
+                <p className="leading-snug">{project.tech.join(' · ')}</p>
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 print:grid-cols-2 gap-6">
+          <section className="break-inside-avoid">
+            <Heading>{t('resume.skills')}</Heading>
+            <dl className="space-y-2">
+              {skills.map((group) => (
+                <div key={group.id}>
+                  <dt className="font-semibold text-ink-strong">{group.title}</dt>
+                  <dd className="leading-snug">{group.skills.map((skill) => skill.name).join(', ')}</dd>
+                </div>
+              ))}
+            </dl>
+          </section>
+
+          <section className="break-inside-avoid">
+            <Heading>{t('resume.focus')}</Heading>
+            <dl className="space-y-2">
+              {domains.map((domain) => (
+                <div key={domain.id}>
+                  <dt className="font-semibold text-ink-strong">{domain.title}</dt>
+                  <dd className="leading-snug">{domain.technologies.join(', ')}</dd>
+                </div>
+              ))}
+            </dl>
+          </section>
+        </div>
+      </article>
+    </div>
+  );
+}
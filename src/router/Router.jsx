@@ -0,0 +1,97 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { RouterContext, matchPath, parseLocation, toHref, useRouter } from './context';
+import { isMotionReduced } from '../motion/motion';
+
+const FOCUSABLE = 'a[href], button, input, select, textarea, [tabindex]';
+
+// Focus follows the scroll so keyboard and screen-reader users continue from
+// where the page now shows, not from the link they activated.
+const moveFocus = (element) => {
+  if (!element) return;
+  if (!element.matches(FOCUSABLE)) element.setAttribute('tabindex', '-1');
+  element.focus({ preventScroll: true });
+};
+
+const scrollToHash = (hash) => {
+  const target = hash && document.getElementById(decodeURIComponent(hash.slice(1)));
+  if (target) {
+    target.scrollIntoView({ behavior: isMotionReduced() ? 'instant' : 'smooth' });
+    moveFocus(target);
+  } else {
+    window.scrollTo(0, 0);
+    moveFocus(document.querySelector('main'));
+  }
+};
+
+/**
+ * History-API router. Keeps the current location in state, follows
+ * back/forward through popstate and scrolls to the hash (or the top) after
+ * every push, moving focus to the hash target (or the page's <main>). Pass `url` when rendering on the server, where there is no window.
+ * Navigation stays in the current locale unless `locale` is passed.
+ */
+export function Router({ url, children }) {
+  // `key` changes on every navigation, even to the same URL.
+  const [location, setLocation] = useState(() => ({
+    ...parseLocation(url ? new URL(url, 'http://localhost') : window.location),
+    key: 0,
+  }));
+  const moveTo = (next) => setLocation((prev) => ({ ...parseLocation(next), key: prev.key + 1 }));
+  const [pendingScroll, setPendingScroll] = useState(null);
+
+  useEffect(() => {
+    const onPopState = () => moveTo(window.location);
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  useEffect(() => {
+    if (pendingScroll) scrollToHash(pendingScroll.hash);
+  }, [pendingScroll]);
+
+  const currentLocale = location.locale;
+  const navigate = useCallback((to, { replace = false, scroll = true, locale = currentLocale } = {}) => {
+    const url = new URL(toHref(to, locale), window.location.href);
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+    moveTo(url);
+    // A fresh object each time so navigating to the same hash scrolls again.
+    if (scroll) setPendingScroll({ hash: url.hash });
+  }, [currentLocale]);
+
+  const value = useMemo(() => ({ ...location, navigate }), [location, navigate]);
+
+  return <RouterContext.Provider value={value}>{children}</RouterContext.Provider>;
+}
+
+/** Renders the element of the first route whose pattern matches the current path. */
+export function Routes({ routes, fallback = null }) {
+  const { path } = useRouter();
+  for (const { path: pattern, render } of routes) {
+    const params = matchPath(pattern, path);
+    if (params) return render(params);
+  }
+  return fallback;
+}
+
+/**
+ * An <a> that navigates client-side for plain left-clicks on internal links.
+ * `locale` links to the same route in another locale; `scroll={false}` keeps
+ * the scroll position.
+ */
+export function Link({ to, locale, scroll = true, onClick, children, ...props }) {
+  const router = useRouter();
+  const target = locale ?? router.locale;
+  return (
+    <a
+      href={toHref(to, target)}
+      onClick={(e) => {
+        onClick?.(e);
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        e.preventDefault();
+        router.navigate(to, { locale: target, scroll });
+      }}
+      {...props}
+    >
+      {children}
+    </a>
+  );
+}
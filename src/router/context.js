@@ -0,0 +1,48 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_LOCALE, localizePath, splitLocale } from '../i18n/locales';
+
+export const RouterContext = createContext(null);
+
+const BASE = import.meta.env.BASE_URL.replace(/\/$/, '');
+
+/** Strips the Vite base path so routes are written as if the site lived at "/". */
+export const toRoutePath = (pathname) => {
+  const path = pathname.startsWith(BASE) ? pathname.slice(BASE.length) : pathname;
+  return path.replace(/\/+$/, '') || '/';
+};
+
+/** Internal paths get the base path and, outside the default locale, the locale prefix. */
+export const toHref = (to, locale = DEFAULT_LOCALE) => (to.startsWith('/') ? `${BASE}${localizePath(to, locale)}` : to);
+
+/** `path` is locale-free, so routes never mention the locale. */
+export const parseLocation = ({ pathname, search, hash }) => ({
+  ...splitLocale(toRoutePath(pathname)),
+  search,
+  hash,
+});
+
+/**
+ * Matches a route pattern such as "/projects/:id" against a path.
+ * Returns the params object, or null when the path does not match.
+ */
+export function matchPath(pattern, path) {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = path.split('/').filter(Boolean);
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+export function useRouter() {
+  const router = useContext(RouterContext);
+  if (!router) throw new Error('useRouter must be used inside <Router>');
+  return router;
+}
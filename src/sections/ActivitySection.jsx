@@ -0,0 +1,46 @@
+import { GitCommit } from 'lucide-react';
+import buildInfo from 'virtual:build-info';
+import { SectionHeader } from '../components/primitives';
+import { useI18n } from '../i18n/i18n';
+
+// Commit subjects and file names come straight from git, so they stay English.
+const ActivityItem = ({ entry }) => {
+  const { t, formatDate } = useI18n();
+  const { hash, short, date, subject, files } = entry;
+
+  return (
+    <li className="relative pl-8 pb-8 border-l border-edge last:pb-0 last:border-l-0">
+      <GitCommit size={14} className="absolute left-[-7px] top-0.5 bg-canvas text-accent-muted" aria-hidden="true" />
+      <div className="flex flex-col sm:flex-row sm:items-baseline gap-1 sm:gap-4">
+        <time dateTime={date} className="font-mono text-accent text-xs shrink-0">{formatDate(date)}</time>
+        <p lang="en" className="text-sm text-ink-bright">{subject}</p>
+      </div>
+      <p className="mt-2 flex flex-wrap items-center gap-2 text-[10px] font-mono text-ink-faint">
+        <span title={hash}>
+          <span className="sr-only">{t('activity.commit')} </span>
+          {short}
+        </span>
+        {files.map((file) => (
+          <span key={file} className="border border-edge px-1.5 py-0.5 rounded">{file}</span>
+        ))}
+      </p>
+    </li>
+  );
+};
+
+/** Recent commits to the site content, read from git at build time (plugins/git.js). */
+export function ActivitySection({ section }) {
+  const { t } = useI18n();
+
+  return (
+    <section id={section.id} aria-labelledby={section.headingId} className="scroll-mt-24 mb-12">
+      <SectionHeader section={section} />
+      <p className="mb-8 max-w-xl text-sm text-ink-muted">{t('activity.intro')}</p>
+      <ol className="max-w-3xl">
+        {buildInfo.activity.map((entry) => (
+          <ActivityItem key={entry.hash} entry={entry} />
+        ))}
+      </ol>
+    </section>
+  );
+}
@@ -0,0 +1,34 @@
+import { useI18n } from '../i18n/i18n';
+import { StatusBar } from '../diagnostics/StatusBar';
+
+/** Contact links and the page footer. */
+export function ContactSection({ section }) {
+  const { t, content } = useI18n();
+
+  return (
+    <section id={section.id} aria-labelledby={section.headingId} className="scroll-mt-24 border-t border-edge-subtle pt-16 pb-8">
+        <div className="flex flex-col md:flex-row md:items-end justify-between gap-8">
+            <div>
+                <h2 id={section.headingId} className="text-3xl font-bold text-ink-strong mb-2">{t(section.title)}</h2>
+                <p className="text-ink-muted max-w-md">
+                    {t('contact.intro')}
+                </p>
+            </div>
+            <div className="flex gap-6">
+                {content.contact.links.map((link) => (
+                    <a key={link.id} href={link.href} className="group flex flex-col gap-1">
+                        <span className="text-[10px] font-mono text-ink-faint group-hover:text-accent transition-colors flex items-center gap-1">
+                            {link.icon && <link.icon size={10} />}
+                            {link.label}
+                        </span>
+                        <span className="text-ink group-hover:text-ink-strong">{link.text}</span>
+                    </a>
+                ))}
+            </div>
+        </div>
+        <StatusBar>
+            <span>{t('footer.notice')}</span>
+        </StatusBar>
+    </section>
+  );
+}
@@ -0,0 +1,28 @@
+import { MonoLabel } from '../components/primitives';
+import { DeepDive } from '../components/DeepDive';
+import { Link } from '../router/Router';
+import { useI18n } from '../i18n/i18n';
+
+/** The featured project's deep dive (the one with `deepDive.featured`). */
+export function DeepDiveSection({ section }) {
+  const { t, content } = useI18n();
+  const featuredProject = content.projects.find((p) => p.deepDive?.featured);
+  if (!featuredProject) return null;
+
+  return (
+    <section id={section.id} aria-label={t(section.title)} className="scroll-mt-24 mb-32">
+      <div className="flex items-center gap-2 mb-6">
+        <MonoLabel className="text-accent">{t(section.title)}</MonoLabel>
+        <div className="h-px bg-edge flex-grow"></div>
+        <Link
+          to={`/projects/${featuredProject.id}`}
+          className="text-[10px] font-mono text-ink-muted hover:text-accent transition-colors"
+        >
+          {t('deepDive.fullAnalysis')}
+        </Link>
+      </div>
+
+      <DeepDive project={featuredProject} />
+    </section>
+  );
+}
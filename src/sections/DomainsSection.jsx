@@ -0,0 +1,54 @@
+import { MonoLabel, SectionHeader } from '../components/primitives';
+import { useI18n } from '../i18n/i18n';
+import { Editable } from '../editor/Editable';
+
+const DomainCard = ({ id, title, icon: Icon, description, technologies }) => {
+  const { t } = useI18n();
+
+  return (
+    <div id={`domain-${id}`} className="scroll-mt-24 border border-edge bg-surface-raised/30 p-6 hover:border-edge-strong transition-all group">
+      <div className="flex items-start gap-4 mb-4">
+        {Icon && (
+          <div className="p-2 rounded bg-surface border border-edge text-accent-strong group-hover:text-accent-strong">
+            <Icon size={24} />
+          </div>
+        )}
+        <div>
+          <h3 className="text-lg font-medium text-ink-bright leading-tight">{title}</h3>
+          <p className="text-sm text-ink-muted mt-2 leading-relaxed">{description}</p>
+        </div>
+      </div>
+
+      <div className="mt-4 pt-4 border-t border-edge/50">
+        <MonoLabel>{t('domain.keyAreas')}</MonoLabel>
+        <div className="flex flex-wrap gap-2 mt-3">
+          {technologies.map((tech, i) => (
+            <span
+              key={i}
+              className="text-[10px] font-mono text-ink-faint bg-surface-raised border border-edge px-2 py-1 rounded"
+            >
+              {tech}
+            </span>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export function DomainsSection({ section }) {
+  const { content } = useI18n();
+
+  return (
+    <section id={section.id} aria-labelledby={section.headingId} className="scroll-mt-24 mb-32">
+      <SectionHeader section={section} />
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        {content.domains.map((domain) => (
+          <Editable key={domain.id} kind="domains" id={domain.id}>
+            <DomainCard {...domain} />
+          </Editable>
+        ))}
+      </div>
+    </section>
+  );
+}
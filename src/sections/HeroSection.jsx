@@ -0,0 +1,70 @@
+import { Terminal, Github, FileText } from 'lucide-react';
+import { SystemIntegrationViz } from '../components/hero/SystemIntegrationViz';
+import { Link } from '../router/Router';
+import { useI18n } from '../i18n/i18n';
+
+const idOfType = (sections, type) => sections.find((s) => s.type === type)?.id;
+
+/** Intro with calls to action and the helix (`viz: false` leaves it out). */
+export function HeroSection({ section, sections, viz = true }) {
+  const { t, content } = useI18n();
+  const { contact } = content;
+  // The buttons jump to the projects and contact sections, wherever the layout puts them.
+  const projectsId = idOfType(sections, 'projects');
+  const contactId = idOfType(sections, 'contact');
+  const skillsId = idOfType(sections, 'skills');
+
+  return (
+    <section id={section.id} className="min-h-[60vh] flex flex-col lg:flex-row items-center gap-12 mb-32">
+      <div className="flex-1 space-y-6">
+        <div className="inline-flex items-center gap-2 px-2 py-1 bg-surface-raised border border-edge rounded text-[10px] font-mono text-accent">
+          <Terminal size={12} />
+          <span>{t('hero.badge')}</span>
+        </div>
+        <h1 className="text-5xl md:text-6xl font-bold text-ink-strong tracking-tight leading-tight">
+          {t('hero.title')}
+        </h1>
+        <h2 className="text-2xl md:text-2xl text-transparent bg-clip-text bg-gradient-to-r from-ink-bright to-ink-faint leading-tight">
+          {t('hero.tagline')}<br/>{t('hero.taglineFields')}
+        </h2>
+        <p className="text-lg text-ink-soft max-w-xl leading-relaxed">
+          {t('hero.intro')}
+        </p>
+
+        <div className="flex flex-wrap gap-3 pt-4">
+          {projectsId && (
+            <Link to={`/#${projectsId}`} className="px-6 py-2 bg-ink-strong text-canvas text-sm font-medium hover:bg-accent hover:text-canvas transition-colors rounded-sm">
+              {t('hero.viewWork')}
+            </Link>
+          )}
+          <a href={contact.github} target="_blank" rel="noreferrer"
+          className="px-6 py-2 border border-edge-strong text-ink font-medium text-sm hover:border-edge-hover transition-colors flex items-center gap-2">
+            <Github size={16} aria-hidden="true" /> {t('hero.github')}
+          </a>
+
+          {contactId && (
+            <Link
+              to={`/#${contactId}`}
+              className="px-6 py-2 border border-edge text-ink-soft text-sm font-medium hover:border-edge-hover hover:text-ink-strong transition-colors rounded-sm font-mono"
+            >
+              {t('hero.contact')}
+            </Link>
+          )}
+
+          <Link
+            to="/resume"
+            className="px-6 py-2 border border-edge text-ink-soft text-sm font-medium hover:border-edge-hover hover:text-ink-strong transition-colors rounded-sm font-mono flex items-center gap-2"
+          >
+            <FileText size={16} aria-hidden="true" /> {t('hero.resume')}
+          </Link>
+        </div>
+      </div>
+
+      {viz && (
+        <div className="flex-1 w-full h-64 lg:h-96">
+          <SystemIntegrationViz projectsId={projectsId} skillsId={skillsId} />
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,285 @@
+import { useState } from 'react';
+import {
+  Lock,
+  Github,
+  ExternalLink,
+  ChevronRight,
+  ChevronDown,
+  Code,
+  FileText,
+  GitCommit
+} from 'lucide-react';
+import { projects as allProjects } from 'virtual:content';
+import buildInfo from 'virtual:build-info';
+import { MonoLabel, SectionHeader } from '../components/primitives';
+import { ProjectFilters } from '../components/ProjectFilters';
+import { Link } from '../router/Router';
+import { useRouter } from '../router/context';
+import { useHydrated } from '../hooks/useHydrated';
+import { useI18n } from '../i18n/i18n';
+import { EMPTY_FILTERS, filterProjects, githubState, parseFilters, serializeFilters } from '../lib/projects';
+import { onAccordionKeyDown } from '../lib/accordion';
+import { postUrl, postsForProject } from '../lib/posts';
+import { Editable } from '../editor/Editable';
+
+const ProjectCard = ({ project, expanded, onClick }) => {
+  const { t, formatDate } = useI18n();
+  const Icon = project.icon;
+  const headerId = `project-${project.id}-header`;
+  const panelId = `project-${project.id}-panel`;
+
+  const repo = githubState(project);
+  const notes = postsForProject(project.id);
+  const updated = buildInfo.projects[project.id];
+
+  return (
+    <div
+      id={`project-${project.id}`}
+      className={`scroll-mt-24 border transition-all duration-300 overflow-hidden mb-4 ${
+        expanded
+          ? "border-accent/30 bg-surface-raised"
+          : "border-edge bg-surface-raised/20 hover:border-edge-strong"
+      }`}
+    >
+      {/* HEADER: the whole row is the accordion button */}
+      <h3>
+        <button
+          type="button"
+          id={headerId}
+          data-accordion-header
+          aria-expanded={expanded}
+          aria-controls={panelId}
+          onClick={onClick}
+          className="w-full p-6 flex items-start gap-4 text-left cursor-pointer focus-visible:outline focus-visible:outline-2 focus-visible:-outline-offset-2 focus-visible:outline-accent"
+        >
+          <span
+            className={`p-2 rounded bg-surface border border-edge ${
+              expanded ? "text-accent-strong" : "text-ink-soft"
+            }`}
+          >
+            <Icon size={24} aria-hidden="true" />
+          </span>
+
+          <span className="flex-grow flex flex-col md:flex-row md:justify-between md:items-start gap-2">
+            <span className="block">
+              <span
+                className={`block text-lg font-medium ${
+                  expanded ? "text-ink-strong" : "text-ink-bright"
+                }`}
+              >
+                {project.title}
+              </span>
+              <span className="block text-sm text-ink-muted mt-1">
+                {project.subtitle}
+              </span>
+              {updated && (
+                <span
+                  className="mt-2 flex items-center gap-1 text-[10px] font-mono text-ink-faint"
+                  title={`${updated.short} ${updated.subject}`}
+                >
+                  <GitCommit size={10} aria-hidden="true" />
+                  {t("project.updated", { date: formatDate(updated.date) })}
+                </span>
+              )}
+            </span>
+
+            <span className="flex items-center gap-3">
+              <span
+                className={`text-[10px] font-mono px-2 py-0.5 rounded border ${
+                  project.status === "ACTIVE"
+                    ? "border-status-active-muted text-status-active bg-status-active-muted/10"
+                    : project.status === "RESEARCH"
+                    ? "border-status-research-muted text-status-research bg-status-research-muted/10"
+                    : "border-status-prototype-muted text-status-prototype bg-status-prototype-muted/10"
+                }`}
+              >
+                {t(`status.${project.status}`)}
+              </span>
+
+              {expanded ? (
+                <ChevronDown size={16} className="text-accent" aria-hidden="true" />
+              ) : (
+                <ChevronRight size={16} className="text-ink-faint" aria-hidden="true" />
+              )}
+            </span>
+          </span>
+        </button>
+      </h3>
+
+      {/* EXPANDED CONTENT: inert while collapsed, so it leaves the tab order and the accessibility tree */}
+      <div
+        id={panelId}
+        role="region"
+        aria-labelledby={headerId}
+        inert={!expanded}
+        className={`transition-all duration-500 ease-in-out overflow-hidden ${
+          expanded ? "max-h-[500px] opacity-100" : "max-h-0 opacity-0"
+        }`}
+      >
+        <div className="px-6 pb-6 pt-0 border-t border-edge/50 mt-2">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-8 mt-6">
+            <div>
+              <MonoLabel>{t("project.architecture")}</MonoLabel>
+              <ul className="mt-3 space-y-2">
+                {project.tech.map((tech, i) => (
+                  <li
+                    key={i}
+                    className="text-sm text-ink-soft flex items-center gap-2"
+                  >
+                    <Code size={12} className="text-accent-muted" aria-hidden="true" />
+                    {tech}
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            <div>
+              <MonoLabel>{t("project.features")}</MonoLabel>
+              <dl className="mt-3 space-y-3">
+                {project.features.map((feat, i) => (
+                  <div
+                    key={i}
+                    className="flex justify-between text-sm border-b border-edge/50 pb-1"
+                  >
+                    <dt className="text-ink-muted flex items-center gap-2">
+                      {feat.icon && <feat.icon size={12} className="text-accent-muted" aria-hidden="true" />}
+                      {feat.label}
+                    </dt>
+                    <dd className="font-mono text-accent-strong text-xs">
+                      {feat.value}
+                    </dd>
+                  </div>
+                ))}
+              </dl>
+            </div>
+          </div>
+
+          <div className="mt-6 flex flex-wrap items-center gap-4">
+            {repo === "public" && (
+              <a
+                href={project.github_url}
+                target="_blank"
+                rel="noreferrer"
+                className="flex items-center gap-1 text-[10px] font-mono px-2 py-0.5 rounded border border-edge-strong text-ink hover:border-accent hover:text-accent-strong transition"
+              >
+                <Github size={12} aria-hidden="true" />
+                {t("project.github")}
+                <ExternalLink size={10} aria-hidden="true" />
+              </a>
+            )}
+
+            {repo === "locked" && (
+              <span className="flex items-center gap-1 text-[10px] font-mono px-2 py-0.5 rounded border border-edge text-ink-muted">
+                <Lock size={12} aria-hidden="true" />
+                {t("repo.locked")}
+              </span>
+            )}
+
+            {repo === "private" && (
+              <span className="flex items-center gap-1 text-[10px] font-mono text-ink-muted">
+                <Lock size={12} aria-hidden="true" />
+                {t("repo.private")}
+              </span>
+            )}
+
+            {project.deepDive && (
+              <Link
+                to={`/projects/${project.id}`}
+                className="inline-flex items-center gap-1 text-[10px] font-mono text-ink-muted hover:text-accent-strong transition-colors"
+              >
+                {t("project.deepDive")} <ChevronRight size={12} aria-hidden="true" />
+              </Link>
+            )}
+
+            {notes.map((post) => (
+              <Link
+                key={post.slug}
+                to={postUrl(post)}
+                lang="en"
+                className="inline-flex items-center gap-1 text-[10px] font-mono text-ink-muted hover:text-accent-strong transition-colors"
+              >
+                <FileText size={12} aria-hidden="true" />
+                <span className="sr-only">{t("project.note")}: </span>
+                {post.title}
+              </Link>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const linkedProjectId = (hash) => allProjects.find((p) => hash === `#project-${p.id}`)?.id;
+
+/**
+ * Project cards as an accordion, with the filters above them (`filters: false`
+ * hides them). The open card and the filters are kept in the URL.
+ */
+export function ProjectsSection({ section, filters: showFilters = true }) {
+  const { search, hash, key, navigate } = useRouter();
+  const { t, content } = useI18n();
+  const { projects } = content;
+  const hydrated = useHydrated();
+  const [activeProject, setActiveProject] = useState(projects[0].id);
+  const [seenKey, setSeenKey] = useState(null);
+
+  // Links such as /#project-talks (terminal, search results) expand their card.
+  // The hash is unknown while prerendering, so it is applied after hydration.
+  if (hydrated && key !== seenKey) {
+    setSeenKey(key);
+    const linked = linkedProjectId(hash);
+    if (linked) setActiveProject(linked);
+  }
+
+  // Filters live in the query string so a filtered view can be shared.
+  const filters = hydrated && showFilters ? parseFilters(search) : EMPTY_FILTERS;
+  const visibleProjects = filterProjects(projects, filters);
+
+  const replaceUrl = (nextFilters, nextHash) =>
+    navigate(`/${serializeFilters(nextFilters)}${nextHash}`, { replace: true, scroll: false });
+
+  const toggleProject = (id) => {
+    const next = activeProject === id ? -1 : id;
+    setActiveProject(next);
+    replaceUrl(filters, next === -1 ? '' : `#project-${id}`);
+  };
+
+  return (
+    <section id={section.id} aria-labelledby={section.headingId} className="scroll-mt-24 mb-32">
+      <SectionHeader section={section} />
+      {showFilters && (
+        <ProjectFilters
+          filters={filters}
+          onChange={(next) => replaceUrl(next, hash)}
+          resultCount={visibleProjects.length}
+          total={projects.length}
+        />
+      )}
+      <div className="space-y-4" onKeyDown={onAccordionKeyDown}>
+        {visibleProjects.map((p) => (
+          <Editable key={p.id} kind="projects" id={p.id}>
+            <ProjectCard 
+                project={p} 
+                expanded={activeProject === p.id} 
+                onClick={() => toggleProject(p.id)}
+            />
+          </Editable>
+        ))}
+        {visibleProjects.length === 0 && (
+          <div className="border border-dashed border-edge p-10 text-center">
+            <MonoLabel className="block mb-2">{t('filters.noMatchLabel')}</MonoLabel>
+            <p className="text-sm text-ink-muted mb-4">{t('filters.noMatch')}</p>
+            <button
+              type="button"
+              onClick={() => replaceUrl(EMPTY_FILTERS, hash)}
+              className="px-4 py-1.5 border border-edge-strong text-ink text-xs font-mono hover:border-accent hover:text-accent-strong transition-colors"
+            >
+              {t('filters.reset')}
+            </button>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,42 @@
+import { SectionHeader } from '../components/primitives';
+import { useI18n } from '../i18n/i18n';
+import { Editable } from '../editor/Editable';
+
+const SkillBadge = ({ name, type }) => {
+    let colorClass = "text-ink-soft border-edge bg-surface-raised/50";
+    if (type === 'core') colorClass = "text-accent-strong border-accent-muted/30 bg-accent-muted/10";
+    if (type === 'learning') colorClass = "text-status-learning border-status-learning-muted/30 bg-status-learning-muted/10";
+
+    return (
+        <span className={`text-xs font-mono px-3 py-1.5 rounded border ${colorClass} flex items-center gap-2`}>
+            {name}
+            {type === 'learning' && <span className="w-1.5 h-1.5 bg-status-learning rounded-full animate-pulse" />}
+        </span>
+    );
+};
+
+export function SkillsSection({ section }) {
+  const { content } = useI18n();
+
+  return (
+    <section id={section.id} aria-labelledby={section.headingId} className="scroll-mt-24 mb-32">
+        <SectionHeader section={section} />
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+            {content.skills.map((group) => (
+                <Editable key={group.id} kind="skills" id={group.id}>
+                    <div>
+                        <h4 className="text-sm font-medium text-ink mb-4 flex items-center gap-2">
+                            <group.icon size={16} /> {group.title}
+                        </h4>
+                        <div className="flex flex-wrap gap-2">
+                            {group.skills.map((skill) => (
+                                <SkillBadge key={skill.name} {...skill} />
+                            ))}
+                        </div>
+                    </div>
+                </Editable>
+            ))}
+        </div>
+    </section>
+  );
+}
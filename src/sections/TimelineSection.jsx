@@ -0,0 +1,37 @@
+import { SectionHeader } from '../components/primitives';
+import { useI18n } from '../i18n/i18n';
+import { Editable } from '../editor/Editable';
+
+const TimelineItem = ({ entry }) => {
+  const { formatYears } = useI18n();
+  const { id, title, desc, role } = entry;
+
+  return (
+    <div id={`timeline-${id}`} className="scroll-mt-24 relative pl-8 pb-12 border-l border-edge last:pb-0 last:border-l-0 group">
+      <div className="absolute left-[-5px] top-0 w-2.5 h-2.5 bg-surface-raised border border-accent-muted group-hover:bg-accent-muted/50 transition-colors rounded-full" />
+      <div className="flex flex-col sm:flex-row sm:items-baseline gap-2 sm:gap-4 mb-2">
+          <span className="font-mono text-accent text-sm">{formatYears(entry)}</span>
+          <h4 className="text-ink-bright font-medium">{title}</h4>
+          <span className="text-xs font-mono text-ink-faint border border-edge px-2 py-0.5 rounded">{role}</span>
+      </div>
+      <p className="text-sm text-ink-muted max-w-xl leading-relaxed">{desc}</p>
+    </div>
+  );
+};
+
+export function TimelineSection({ section }) {
+  const { content } = useI18n();
+
+  return (
+    <section id={section.id} aria-labelledby={section.headingId} className="scroll-mt-24 mb-12">
+        <SectionHeader section={section} />
+        <div className="max-w-3xl">
+          {content.timeline.map((entry) => (
+            <Editable key={entry.id} kind="timeline" id={entry.id}>
+              <TimelineItem entry={entry} />
+            </Editable>
+          ))}
+        </div>
+    </section>
+  );
+}
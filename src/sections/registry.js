@@ -0,0 +1,58 @@
+import { projects } from 'virtual:content';
+import buildInfo from 'virtual:build-info';
+import { HeroSection } from './HeroSection';
+import { DomainsSection } from './DomainsSection';
+import { SkillsSection } from './SkillsSection';
+import { ProjectsSection } from './ProjectsSection';
+import { DeepDiveSection } from './DeepDiveSection';
+import { TimelineSection } from './TimelineSection';
+import { ContactSection } from './ContactSection';
+import { ActivitySection } from './ActivitySection';
+
+/**
+ * Section types the home page layout (src/content/layout.json) can use. A
+ * definition is `{ component, title?, nav?, numbered?, enabled?, source? }`:
+ * `title` and `nav` are message keys (no `nav`, no nav entry), `numbered`
+ * sections open with a numbered SectionHeader, `enabled: false` drops the
+ * section wherever it is listed, and `source` names the content file whose last
+ * commit the header shows as "updated". `component` renders the whole
+ * `<section>` and receives `section` (the resolved entry from lib/sections),
+ * `sections` (all of them) and the entry's `props`.
+ */
+const BUILT_IN = {
+  hero: { component: HeroSection },
+  domains: { component: DomainsSection, title: 'section.domains', nav: 'nav.domains', numbered: true, source: 'domains' },
+  skills: { component: SkillsSection, title: 'section.skills', nav: 'nav.skills', numbered: true, source: 'skills' },
+  projects: {
+    component: ProjectsSection,
+    title: 'section.projects',
+    nav: 'nav.projects',
+    numbered: true,
+    source: 'projects',
+  },
+  'deep-dive': {
+    component: DeepDiveSection,
+    title: 'deepDive.label',
+    nav: 'nav.deepDive',
+    enabled: projects.some((p) => p.deepDive?.featured),
+  },
+  timeline: { component: TimelineSection, title: 'section.timeline', nav: 'nav.timeline', numbered: true, source: 'timeline' },
+  activity: {
+    component: ActivitySection,
+    title: 'section.activity',
+    numbered: true,
+    enabled: buildInfo.activity.length > 0,
+  },
+  contact: { component: ContactSection, title: 'contact.title', nav: 'nav.contact' },
+};
+
+// Site-specific types: src/sections/custom/<type>.js default-exports a
+// definition. A file named after a built-in type replaces it.
+const CUSTOM = Object.fromEntries(
+  Object.entries(import.meta.glob('./custom/*.js', { eager: true, import: 'default' })).map(([file, definition]) => [
+    file.slice('./custom/'.length, -'.js'.length),
+    definition,
+  ]),
+);
+
+export const SECTION_TYPES = { ...BUILT_IN, ...CUSTOM };
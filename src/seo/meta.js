@@ -0,0 +1,119 @@
+import { projects } from 'virtual:content';
+import { posts } from 'virtual:posts';
+import { findPost, postUrl } from '../lib/posts';
+import { matchPath } from '../router/context';
+import { getI18n } from '../i18n/i18n';
+import { DEFAULT_LOCALE, LOCALES, LOCALE_CODES, localizePath } from '../i18n/locales';
+
+const DESCRIPTION_LIMIT = 160;
+
+const truncate = (text, limit = DESCRIPTION_LIMIT) =>
+  text.length <= limit ? text : `${text.slice(0, limit - 1).replace(/\s+\S*$/, '')}…`;
+
+/** Every route that gets a static HTML file at build time, in every locale. */
+export const prerenderRoutes = () =>
+  LOCALE_CODES.flatMap((locale) =>
+    [
+      '/',
+      ...projects.filter((p) => p.deepDive).map((p) => `/projects/${p.id}`),
+      '/notes',
+      ...posts.map(postUrl),
+      '/resume',
+    ].map((path) => localizePath(path, locale)),
+  );
+
+/**
+ * Title, description and OpenGraph fields for a (locale-free) route in a
+ * locale, derived from the translated content. Used for the prerendered <head>
+ * and on client navigation. `alternates` lists the page in every locale.
+ */
+export function getPageMeta(path, locale = DEFAULT_LOCALE) {
+  const { t, content } = getI18n(locale);
+  const { projects, site } = content;
+  const base = {
+    url: `${site.url}${localizePath(path, locale)}`,
+    image: `${site.url}${site.image}`,
+    siteName: site.name,
+    locale,
+    alternates: LOCALE_CODES.map((code) => ({ locale: code, url: `${site.url}${localizePath(path, code)}` })),
+  };
+
+  if (path === '/') {
+    return { ...base, title: site.title, description: site.description, type: 'website' };
+  }
+
+  const params = matchPath('/projects/:id', path);
+  const project = params && projects.find((p) => p.id === params.id && p.deepDive);
+  if (project) {
+    return {
+      ...base,
+      title: `${project.title} | ${site.name}`,
+      description: truncate(`${project.subtitle}. ${project.deepDive.problem}`),
+      type: 'article',
+    };
+  }
+
+  if (path === '/notes') {
+    return { ...base, title: `${t('notes.title')} | ${site.name}`, description: t('notes.intro'), type: 'website' };
+  }
+
+  if (path === '/resume') {
+    return { ...base, title: `${t('resume.title')} | ${site.name}`, description: site.description, type: 'profile' };
+  }
+
+  const postParams = matchPath('/notes/:slug', path);
+  const post = postParams && findPost(postParams.slug);
+  if (post) {
+    return { ...base, title: `${post.title} | ${site.name}`, description: truncate(post.summary), type: 'article' };
+  }
+
+  return { ...base, title: `${t('meta.notFound')} | ${site.name}`, description: site.description, type: 'website' };
+}
+
+/** [attribute, key, value] triples for the <meta> tags describing a page. */
+export const metaTags = (meta) => [
+  ['name', 'description', meta.description],
+  ['property', 'og:type', meta.type],
+  ['property', 'og:site_name', meta.siteName],
+  ['property', 'og:locale', LOCALES[meta.locale].og],
+  ['property', 'og:title', meta.title],
+  ['property', 'og:description', meta.description],
+  ['property', 'og:url', meta.url],
+  ['property', 'og:image', meta.image],
+  ['name', 'twitter:card', 'summary'],
+  ['name', 'twitter:title', meta.title],
+  ['name', 'twitter:description', meta.description],
+  ['name', 'twitter:image', meta.image],
+];
+
+/** hreflang → URL for the <link rel="alternate"> tags; x-default is the default locale. */
+export const alternateLinks = (meta) => [
+  ...meta.alternates.map(({ locale, url }) => [locale, url]),
+  ['x-default', meta.alternates.find(({ locale }) => locale === DEFAULT_LOCALE).url],
+];
+
+/** Keeps <html lang>, document.title and the head tags in sync after client-side navigation. */
+export function applyPageMeta(meta) {
+  document.documentElement.lang = meta.locale;
+  document.title = meta.title;
+  for (const [attr, key, value] of metaTags(meta)) {
+    let tag = document.head.querySelector(`meta[${attr}="${key}"]`);
+    if (!tag) {
+      tag = document.createElement('meta');
+      tag.setAttribute(attr, key);
+      document.head.appendChild(tag);
+    }
+    tag.setAttribute('content', value);
+  }
+  document.head.querySelector('link[rel="canonical"]')?.setAttribute('href', meta.url);
+  for (const [hreflang, url] of alternateLinks(meta)) {
+    let link = document.head.querySelector(`link[rel="alternate"][hreflang="${hreflang}"]`);
+    if (!link) {
+      link = document.createElement('link');
+      link.rel = 'alternate';
+      link.hreflang = hreflang;
+      document.head.appendChild(link);
+    }
+    link.href = url;
+  }
+}
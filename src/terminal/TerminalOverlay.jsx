@@ -0,0 +1,193 @@
+import { useEffect, useRef, useState } from 'react';
+import { Terminal, X } from 'lucide-react';
+import { useI18n } from '../i18n/i18n';
+import { useRouter } from '../router/context';
+import { useTheme } from '../theme/theme';
+import { useMotion } from '../motion/motion';
+import { completeInput, runCommand } from './commands';
+
+const PROMPT = 'guest@ayush-m:~$';
+const WELCOME = [
+  { text: 'AYUSH_M SYS TERMINAL', tone: 'accent' },
+  { text: "Type 'help' for commands, 'ls projects' to start.", tone: 'muted' },
+];
+
+const TONES = {
+  accent: 'text-accent-strong',
+  muted: 'text-ink-faint',
+  error: 'text-danger',
+  input: 'text-ink-bright',
+};
+
+const FOCUSABLE = 'a[href], button, input';
+
+const isTyping = (el) => el?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el?.tagName);
+
+/**
+ * Overlay terminal. Opens on Ctrl/⌘+K or ` (backtick), and whenever `open`
+ * is set by the parent; history and scrollback survive closing it. While open
+ * it keeps Tab focus inside; on closing, focus returns to where it was (unless
+ * a command navigated, which moves focus itself).
+ */
+export function TerminalOverlay({ open, onOpenChange }) {
+  const { t } = useI18n();
+  const { navigate } = useRouter();
+  const { preference, setPreference } = useTheme();
+  const motion = useMotion();
+  const [lines, setLines] = useState(WELCOME);
+  const [input, setInput] = useState('');
+  const [history, setHistory] = useState([]);
+  const [historyIndex, setHistoryIndex] = useState(-1);
+  const dialogRef = useRef(null);
+  const inputRef = useRef(null);
+  const scrollRef = useRef(null);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if ((e.key === 'k' && (e.ctrlKey || e.metaKey)) || (e.key === '`' && !isTyping(e.target))) {
+        e.preventDefault();
+        onOpenChange(!open);
+      } else if (e.key === 'Escape' && open) {
+        onOpenChange(false);
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [open, onOpenChange]);
+
+  // Runs before the router's focus handling, so a navigation still wins.
+  useEffect(() => {
+    if (!open) return;
+    const trigger = document.activeElement;
+    inputRef.current?.focus();
+    return () => trigger?.focus?.({ preventScroll: true });
+  }, [open]);
+
+  useEffect(() => {
+    scrollRef.current?.scrollTo(0, scrollRef.current.scrollHeight);
+  }, [lines]);
+
+  if (!open) return null;
+
+  const go = (to) => {
+    onOpenChange(false);
+    navigate(to);
+  };
+
+  const submit = () => {
+    const { lines: output, action } = runCommand(input, { theme: preference, motion: motion.preference });
+    const echoed = [{ text: `${PROMPT} ${input}`, tone: 'input' }, ...output];
+
+    if (input.trim()) setHistory((h) => [input, ...h.filter((entry) => entry !== input)].slice(0, 50));
+    setHistoryIndex(-1);
+    setInput('');
+
+    if (action?.type === 'clear') return setLines([]);
+    setLines((prev) => [...prev, ...echoed]);
+    if (action?.type === 'close') onOpenChange(false);
+    if (action?.type === 'navigate') go(action.to);
+    if (action?.type === 'theme') setPreference(action.value);
+    if (action?.type === 'motion') motion.setPreference(action.value);
+  };
+
+  // Tab in the input completes commands; everywhere else it cycles through
+  // the dialog's controls.
+  const trapFocus = (e) => {
+    if (e.key !== 'Tab' || e.defaultPrevented) return;
+    const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE)];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = dialogRef.current.contains(document.activeElement);
+    if (e.shiftKey && (!inside || document.activeElement === first)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      submit();
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      const { input: completed, options } = completeInput(input);
+      setInput(completed);
+      if (options.length) setLines((prev) => [...prev, { text: options.join('  '), tone: 'muted' }]);
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      const next = Math.max(-1, Math.min(history.length - 1, historyIndex + (e.key === 'ArrowUp' ? 1 : -1)));
+      setHistoryIndex(next);
+      setInput(next === -1 ? '' : history[next]);
+    } else if (e.key === 'l' && e.ctrlKey) {
+      e.preventDefault();
+      setLines([]);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-[60] bg-canvas/70 backdrop-blur-sm flex items-start justify-center pt-24 px-4"
+      onMouseDown={(e) => e.target === e.currentTarget && onOpenChange(false)}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label={t('terminal.label')}
+        onKeyDown={trapFocus}
+        className="w-full max-w-2xl border border-edge bg-surface shadow-2xl font-mono text-xs"
+      >
+        <div className="flex items-center justify-between px-4 py-2 border-b border-edge text-ink-muted">
+          <span className="flex items-center gap-2">
+            <Terminal size={12} className="text-accent" /> tty0 — {PROMPT}
+          </span>
+          <button type="button" onClick={() => onOpenChange(false)} aria-label={t('terminal.close')} className="hover:text-accent">
+            <X size={14} />
+          </button>
+        </div>
+
+        <div ref={scrollRef} className="h-80 overflow-y-auto p-4 space-y-1" onClick={() => inputRef.current?.focus()}>
+          {lines.map((line, i) => {
+            const className = `block whitespace-pre-wrap text-left ${TONES[line.tone] ?? 'text-ink-soft'}`;
+            if (line.to) {
+              return (
+                <button key={i} type="button" onClick={() => go(line.to)} className={`${className} hover:text-accent-strong`}>
+                  {line.text}
+                </button>
+              );
+            }
+            if (line.href) {
+              return (
+                <a key={i} href={line.href} target="_blank" rel="noreferrer" className={`${className} hover:text-accent-strong`}>
+                  {line.text}
+                </a>
+              );
+            }
+            return (
+              <span key={i} className={className}>
+                {line.text}
+              </span>
+            );
+          })}
+
+          <label className="flex items-center gap-2 text-ink-bright">
+            <span className="text-accent shrink-0">{PROMPT}</span>
+            <input
+              ref={inputRef}
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              onKeyDown={onKeyDown}
+              spellCheck={false}
+              autoComplete="off"
+              aria-label={t('terminal.command')}
+              className="flex-grow bg-transparent outline-none caret-accent"
+            />
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+}
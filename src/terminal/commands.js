@@ -0,0 +1,285 @@
+import { projects, domains, skills, timeline, contact } from 'virtual:content';
+import { THEME_PREFERENCES } from '../theme/theme';
+import { MOTION_PREFERENCES } from '../motion/motion';
+import { getI18n } from '../i18n/i18n';
+import { HOME_SECTIONS } from '../lib/sections';
+import { posts } from 'virtual:posts';
+import { postUrl } from '../lib/posts';
+import { fuzzySearch } from './fuzzy';
+
+// Each command returns `{ lines, action }`. A line is `{ text, tone?, to?, href? }`;
+// lines with `to` are clickable and navigate inside the site. `action` is run by
+// the overlay after printing: { type: 'navigate', to } | { type: 'clear' } | { type: 'close' }
+// | { type: 'theme', value } | { type: 'motion', value }.
+
+export const SECTIONS = Object.fromEntries(HOME_SECTIONS.map(({ id }) => [id, `/#${id}`]));
+
+const LISTABLE = ['projects', 'domains', 'skills', 'timeline', 'notes', 'contact'];
+const SKILL_FLAGS = ['--core', '--learning', '--all'];
+
+export const projectAnchor = (id) => `/#project-${id}`;
+
+// The terminal speaks English whatever the page locale.
+const { formatYears } = getI18n();
+
+const allSkills = skills.flatMap((group) => group.skills.map((skill) => ({ ...skill, group })));
+
+/** Everything `find` (and unknown-command suggestions) can land on. */
+const searchIndex = [
+  ...projects.map((p) => ({
+    type: 'project',
+    label: p.title,
+    to: projectAnchor(p.id),
+    fields: [p.title, p.id, p.subtitle, p.status, ...p.tech, ...p.features.map((f) => `${f.label} ${f.value}`)],
+  })),
+  ...domains.map((d) => ({
+    type: 'domain',
+    label: d.title,
+    to: `/#domain-${d.id}`,
+    fields: [d.title, d.description, ...d.technologies],
+  })),
+  ...allSkills.map((s) => ({
+    type: 'skill',
+    label: `${s.name} (${s.group.title})`,
+    to: SECTIONS.skills,
+    fields: [s.name, s.group.title],
+  })),
+  ...timeline.map((t) => ({
+    type: 'timeline',
+    label: `${formatYears(t)} ${t.title}`,
+    to: `/#timeline-${t.id}`,
+    fields: [t.title, formatYears(t), t.role, t.desc],
+  })),
+  ...posts.map((post) => ({
+    type: 'note',
+    label: post.title,
+    to: postUrl(post),
+    fields: [post.title, post.summary, ...post.tags],
+  })),
+];
+
+const text = (value, tone) => ({ text: value, tone });
+const error = (value) => ({ text: value, tone: 'error' });
+
+const findProject = (query) =>
+  projects.find((p) => p.id === query) ?? fuzzySearch(query, projects, (p) => [p.id, p.title], 1)[0];
+
+const searchLines = (query) =>
+  fuzzySearch(query, searchIndex, (entry) => entry.fields).map((entry) => ({
+    text: `[${entry.type}] ${entry.label}`,
+    to: entry.to,
+  }));
+
+const COMMANDS = {
+  help: {
+    usage: 'help',
+    summary: 'list available commands',
+    run: () => ({
+      lines: [
+        ...Object.values(COMMANDS).map((cmd) => text(`${cmd.usage.padEnd(30)} ${cmd.summary}`)),
+        text('TAB completes, ↑/↓ walks history, ESC closes.', 'muted'),
+      ],
+    }),
+  },
+
+  ls: {
+    usage: 'ls [projects|domains|...]',
+    summary: 'list content',
+    complete: () => LISTABLE,
+    run: ([target = 'projects']) => {
+      switch (target) {
+        case 'projects':
+          return { lines: projects.map((p) => ({ text: `${p.id.padEnd(26)} ${p.status.padEnd(10)} ${p.title}`, to: projectAnchor(p.id) })) };
+        case 'domains':
+          return { lines: domains.map((d) => ({ text: d.title, to: `/#domain-${d.id}` })) };
+        case 'skills':
+          return { lines: skills.map((g) => text(`${g.title}: ${g.skills.map((s) => s.name).join(', ')}`)) };
+        case 'timeline':
+          return { lines: timeline.map((t) => ({ text: `${formatYears(t).padEnd(16)} ${t.title}`, to: `/#timeline-${t.id}` })) };
+        case 'notes':
+          return { lines: posts.map((post) => ({ text: `${post.date.padEnd(12)} ${post.title}`, to: postUrl(post) })) };
+        case 'contact':
+          return COMMANDS.contact.run();
+        default:
+          return { lines: [error(`ls: no such listing '${target}'. Try: ${LISTABLE.join(', ')}`)] };
+      }
+    },
+  },
+
+  open: {
+    usage: 'open <project|section>',
+    summary: 'expand a project card or jump to a section',
+    complete: () => [...projects.map((p) => p.id), ...Object.keys(SECTIONS)],
+    run: ([query]) => {
+      if (!query) return { lines: [error('open: missing argument')] };
+      if (Object.hasOwn(SECTIONS, query)) return { lines: [text(`→ ${query}`, 'muted')], action: { type: 'navigate', to: SECTIONS[query] } };
+      const project = findProject(query);
+      if (!project) return { lines: [error(`open: nothing matches '${query}'`)] };
+      return { lines: [text(`→ ${project.title}`, 'muted')], action: { type: 'navigate', to: projectAnchor(project.id) } };
+    },
+  },
+
+  dive: {
+    usage: 'dive <project>',
+    summary: "open a project's deep-dive page",
+    complete: () => projects.filter((p) => p.deepDive).map((p) => p.id),
+    run: ([query]) => {
+      const project = query && findProject(query);
+      if (!project?.deepDive) return { lines: [error(`dive: no deep dive for '${query ?? ''}'`)] };
+      return { lines: [text(`→ /projects/${project.id}`, 'muted')], action: { type: 'navigate', to: `/projects/${project.id}` } };
+    },
+  },
+
+  cat: {
+    usage: 'cat <project>',
+    summary: 'print project details',
+    complete: () => projects.map((p) => p.id),
+    run: ([query]) => {
+      const project = query && findProject(query);
+      if (!project) return { lines: [error(`cat: ${query ?? ''}: no such project`)] };
+      return {
+        lines: [
+          text(`# ${project.title}`, 'accent'),
+          text(`${project.subtitle} [${project.status}]`, 'muted'),
+          ...project.tech.map((t) => text(`  - ${t}`)),
+          ...project.features.map((f) => text(`  ${f.label}: ${f.value}`)),
+          { text: `→ expand card`, to: projectAnchor(project.id) },
+        ],
+      };
+    },
+  },
+
+  skills: {
+    usage: 'skills [--core|--learning|--all]',
+    summary: 'list skills by type',
+    complete: () => SKILL_FLAGS,
+    run: ([flag = '--all']) => {
+      if (!SKILL_FLAGS.includes(flag)) return { lines: [error(`skills: unknown flag '${flag}'`)] };
+      const type = flag.slice(2);
+      const matches = type === 'all' ? allSkills : allSkills.filter((s) => s.type === type);
+      return { lines: matches.map((s) => text(`${s.name.padEnd(20)} ${s.type.padEnd(9)} ${s.group.title}`)) };
+    },
+  },
+
+  find: {
+    usage: 'find <query>',
+    summary: 'fuzzy search all content',
+    run: (args) => {
+      const query = args.join(' ');
+      if (!query) return { lines: [error('find: missing query')] };
+      const lines = searchLines(query);
+      return { lines: lines.length ? lines : [text(`find: no matches for '${query}'`, 'muted')] };
+    },
+  },
+
+  contact: {
+    usage: 'contact',
+    summary: 'show contact links',
+    run: () => ({
+      lines: [
+        ...contact.links.map((link) => ({ text: `${link.label.padEnd(8)} ${link.text}`, href: link.href })),
+        { text: `${'GITHUB'.padEnd(8)} ${contact.github}`, href: contact.github },
+      ],
+    }),
+  },
+
+  theme: {
+    usage: 'theme [system|dark|light|contrast]',
+    summary: 'list or switch colour themes',
+    complete: () => THEME_PREFERENCES,
+    run: ([value], { theme }) => {
+      if (!value) {
+        return {
+          lines: [
+            ...THEME_PREFERENCES.map((name) => text(`${name}${name === theme ? ' *' : ''}`)),
+            text("'theme <name>' switches; 'system' follows the OS.", 'muted'),
+          ],
+        };
+      }
+      if (!THEME_PREFERENCES.includes(value)) {
+        return { lines: [error(`theme: unknown theme '${value}'. Try: ${THEME_PREFERENCES.join(', ')}`)] };
+      }
+      return { lines: [text(`→ ${value}`, 'muted')], action: { type: 'theme', value } };
+    },
+  },
+
+  motion: {
+    usage: 'motion [system|full|reduced]',
+    summary: 'show or set the motion preference',
+    complete: () => MOTION_PREFERENCES,
+    run: ([value], { motion }) => {
+      if (!value) {
+        return {
+          lines: [
+            ...MOTION_PREFERENCES.map((name) => text(`${name}${name === motion ? ' *' : ''}`)),
+            text("'motion reduced' stops the helix and looping animations; 'system' follows the OS.", 'muted'),
+          ],
+        };
+      }
+      if (!MOTION_PREFERENCES.includes(value)) {
+        return { lines: [error(`motion: unknown preference '${value}'. Try: ${MOTION_PREFERENCES.join(', ')}`)] };
+      }
+      return { lines: [text(`→ ${value}`, 'muted')], action: { type: 'motion', value } };
+    },
+  },
+
+  clear: {
+    usage: 'clear',
+    summary: 'clear the screen',
+    run: () => ({ lines: [], action: { type: 'clear' } }),
+  },
+
+  exit: {
+    usage: 'exit',
+    summary: 'close the terminal',
+    run: () => ({ lines: [], action: { type: 'close' } }),
+  },
+};
+
+export const COMMAND_NAMES = Object.keys(COMMANDS);
+
+// Own keys only, so input like `constructor` or `toString` is not found on Object.prototype.
+const findCommand = (name) => (Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : undefined);
+
+/**
+ * Runs one line of input. `context` carries UI state commands may report on
+ * (currently `{ theme, motion }`, the active theme and motion preferences).
+ */
+export function runCommand(input, context = {}) {
+  const [name, ...args] = input.trim().split(/\s+/);
+  if (!name) return { lines: [] };
+
+  const command = findCommand(name);
+  if (command) return command.run(args, context);
+
+  const suggestions = searchLines(input).slice(0, 3);
+  return {
+    lines: [
+      error(`${name}: command not found. Type 'help' for a list.`),
+      ...(suggestions.length ? [text('did you mean:', 'muted'), ...suggestions] : []),
+    ],
+  };
+}
+
+/**
+ * Tab completion for the current input. Returns the completed input (or the
+ * input unchanged) and the candidates when there is more than one.
+ */
+export function completeInput(input) {
+  const parts = input.split(/\s+/);
+  const current = parts[parts.length - 1];
+  const candidates =
+    parts.length === 1 ? COMMAND_NAMES : (findCommand(parts[0])?.complete?.() ?? []);
+  const matches = candidates.filter((c) => c.startsWith(current));
+
+  if (matches.length === 0) return { input, options: [] };
+  if (matches.length === 1) {
+    return { input: [...parts.slice(0, -1), matches[0]].join(' ') + ' ', options: [] };
+  }
+
+  let prefix = matches[0];
+  for (const match of matches) {
+    while (!match.startsWith(prefix)) prefix = prefix.slice(0, -1);
+  }
+  return { input: [...parts.slice(0, -1), prefix].join(' '), options: matches };
+}
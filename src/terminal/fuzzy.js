@@ -0,0 +1,53 @@
+// Subsequence matcher in the spirit of editor "go to file" pickers: every
+// query character must appear in order; consecutive runs and matches at word
+// starts score higher, and a plain substring match beats any scattered one.
+
+const WORD_START = /[\s\-_/.(]/;
+const MAX_SPREAD = 3;
+
+/**
+ * @returns {number} score > 0 when `query` fuzzily matches `text`, else 0
+ */
+export function fuzzyScore(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, ' ').trim();
+  const t = text.toLowerCase();
+  if (!q) return 0;
+
+  const substring = t.indexOf(q);
+  if (substring !== -1) {
+    const atWordStart = substring === 0 || WORD_START.test(t[substring - 1]);
+    return 100 + q.length * 4 + (atWordStart ? 20 : 0) - substring * 0.1;
+  }
+
+  let score = 0;
+  let run = 0;
+  let from = 0;
+  let first = -1;
+  for (const ch of q) {
+    if (ch === ' ') continue;
+    const at = t.indexOf(ch, from);
+    if (at === -1) return 0;
+    if (first === -1) first = at;
+    run = at === from ? run + 1 : 1;
+    score += 1 + run * 2 + (at === 0 || WORD_START.test(t[at - 1]) ? 5 : 0);
+    from = at + 1;
+  }
+  return from - first <= q.length * MAX_SPREAD ? score : 0;
+}
+
+/**
+ * Ranks `items` by the best score over the strings returned by `fields(item)`.
+ * The first field is the title and counts double.
+ */
+export function fuzzySearch(query, items, fields, limit = 8) {
+  return items
+    .map((item) => {
+      const [title, ...rest] = fields(item);
+      const score = Math.max(fuzzyScore(query, title) * 2, ...rest.map((field) => fuzzyScore(query, field)));
+      return { item, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ item }) => item);
+}
@@ -0,0 +1,30 @@
+import { Contrast, Monitor, Moon, Sun } from 'lucide-react';
+import { THEME_PREFERENCES, useTheme } from './theme';
+import { useI18n } from '../i18n/i18n';
+
+const ICONS = { system: Monitor, dark: Moon, light: Sun, contrast: Contrast };
+
+/** Nav button cycling system → dark → light → contrast. */
+export const ThemeToggle = () => {
+  const { preference, theme, setPreference } = useTheme();
+  const { t } = useI18n();
+  const next = THEME_PREFERENCES[(THEME_PREFERENCES.indexOf(preference) + 1) % THEME_PREFERENCES.length];
+  const Icon = ICONS[preference];
+  const label =
+    preference === 'system'
+      ? t('theme.currentSystem', { theme: t(`theme.${theme}`) })
+      : t('theme.current', { theme: t(`theme.${preference}`) });
+  const title = `${label}. ${t('theme.switch', { theme: t(`theme.${next}`) })}`;
+
+  return (
+    <button
+      type="button"
+      onClick={() => setPreference(next)}
+      title={title}
+      aria-label={title}
+      className="text-ink-muted hover:text-accent transition-colors"
+    >
+      <Icon size={14} />
+    </button>
+  );
+};
@@ -0,0 +1,67 @@
+import { useSyncExternalStore } from 'react';
+import { createPreference } from '../lib/preference';
+
+export const THEMES = ['dark', 'light', 'contrast'];
+
+/** What the user can pick: a theme, or follow the OS. */
+export const THEME_PREFERENCES = ['system', ...THEMES];
+
+// Also read by the inline script in index.html, which applies the theme before
+// first paint so a light-mode visitor never sees a dark flash.
+const STORAGE_KEY = 'theme';
+
+const QUERIES = ['(prefers-color-scheme: light)', '(prefers-contrast: more)'];
+
+const systemTheme = () => {
+  if (matchMedia(QUERIES[1]).matches) return 'contrast';
+  if (matchMedia(QUERIES[0]).matches) return 'light';
+  return 'dark';
+};
+
+export const resolveTheme = (preference) => (preference === 'system' ? systemTheme() : preference);
+
+const store = createPreference({
+  key: STORAGE_KEY,
+  attribute: 'theme',
+  choices: THEME_PREFERENCES,
+  queries: QUERIES,
+  resolve: resolveTheme,
+});
+
+export const setThemePreference = store.set;
+
+const getTheme = () => document.documentElement.dataset.theme ?? 'dark';
+
+/**
+ * Current theme preference and the theme it resolves to. The server (and
+ * hydration) always sees `system`/`dark`; the real values follow on the client.
+ */
+export function useTheme() {
+  const preference = useSyncExternalStore(store.subscribe, store.read, () => 'system');
+  const theme = useSyncExternalStore(store.subscribe, getTheme, () => 'dark');
+  return { preference, theme, setPreference: setThemePreference };
+}
+
+/**
+ * Reads a colour token from src/index.css as `rgb(r g b)`, for consumers that
+ * cannot use Tailwind classes (three.js materials, canvas drawing).
+ */
+export const readToken = (name) => {
+  const value = getComputedStyle(document.documentElement).getPropertyValue(`--${name}`).trim();
+  return `rgb(${value.split(/\s+/).join(', ')})`;
+};
+
+const tokenCache = new Map();
+
+/**
+ * readToken for `theme`, cached per theme. Taking the theme lets memos list it
+ * as a dependency, so they re-read tokens when it flips. Values are only
+ * cached once `theme` is the one applied to the document.
+ */
+export const themeToken = (theme, name) => {
+  const key = `${theme}:${name}`;
+  if (tokenCache.has(key)) return tokenCache.get(key);
+  const value = readToken(name);
+  if (document.documentElement.dataset.theme === theme) tokenCache.set(key, value);
+  return value;
+};
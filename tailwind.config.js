@@ -1,11 +1,73 @@
 /** @type {import('tailwindcss').Config} */
+
+// Theme tokens are CSS variables defined in src/index.css.
+const token = (name) => `rgb(var(--${name}) / <alpha-value>)`;
+
+// Transition durations shrink under reduced motion via --motion-scale (src/index.css).
+const duration = (ms) => `calc(${ms}ms * var(--motion-scale, 1))`;
+
 export default {
   content: [
     "./index.html",
     "./src/**/*.{js,jsx}"
   ],
   theme: {
-    extend: {},
+    transitionDuration: {
+      DEFAULT: duration(150),
+      ...Object.fromEntries([0, 75, 100, 150, 200, 300, 500, 700, 1000].map((ms) => [ms, duration(ms)])),
+    },
+    extend: {
+      colors: {
+        canvas: token("canvas"),
+        surface: {
+          DEFAULT: token("surface"),
+          raised: token("surface-raised"),
+        },
+        edge: {
+          DEFAULT: token("edge"),
+          subtle: token("edge-subtle"),
+          strong: token("edge-strong"),
+          hover: token("edge-hover"),
+        },
+        ink: {
+          DEFAULT: token("ink"),
+          strong: token("ink-strong"),
+          bright: token("ink-bright"),
+          soft: token("ink-soft"),
+          muted: token("ink-muted"),
+          faint: token("ink-faint"),
+          ghost: token("ink-ghost"),
+        },
+        accent: {
+          DEFAULT: token("accent"),
+          strong: token("accent-strong"),
+          muted: token("accent-muted"),
+        },
+        secondary: {
+          DEFAULT: token("secondary"),
+          muted: token("secondary-muted"),
+        },
+        status: {
+          active: token("status-active"),
+          "active-muted": token("status-active-muted"),
+          prototype: token("status-prototype"),
+          "prototype-muted": token("status-prototype-muted"),
+          research: token("status-research"),
+          "research-muted": token("status-research-muted"),
+          learning: token("status-learning"),
+          "learning-muted": token("status-learning-muted"),
+        },
+        danger: token("danger"),
+      },
+      keyframes: {
+        flow: {
+          to: { strokeDashoffset: "-12" },
+        },
+      },
+      animation: {
+        flow: "flow 1.2s linear infinite",
+      },
+    },
   },
   plugins: [],
 }
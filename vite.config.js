@@ -1,7 +1,13 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import content from "./plugins/content.js";
+import posts from "./plugins/posts.js";
+import resume from "./plugins/resume.js";
+import git from "./plugins/git.js";
+import spaFallback from "./plugins/spa-fallback.js";
+import prerender from "./plugins/prerender.js";
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [content(), posts(), resume(), git(), react(), spaFallback(), prerender()],
   base: "/",
 });